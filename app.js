@@ -1,45 +1,142 @@
 // ===============================
-// LOCAL STORAGE HELPER SYSTEM
+// STORAGE
 // ===============================
 
 /*
- * setData(key, value)
- * Saves a JS object/array into localStorage.
- * JSON.stringify converts JS objects into a string because localStorage only stores strings.
+ * getData / setData / initializeStorage live in storage.js (loaded first).
+ * Data is kept in IndexedDB, so it has to be loaded before anything renders.
+ * Module state below starts empty and is filled in by startApp() at the
+ * bottom of this file once initializeStorage() has finished.
  */
-function setData(key, value) {
-    localStorage.setItem(key, JSON.stringify(value));
+
+
+
+// ===============================
+// TEXT HELPERS
+// ===============================
+
+/*
+ * escapeHtml(value)
+ * For text typed by users or read from files that goes into innerHTML,
+ * so a name like <b>Ade</b> or "Ade" shows as it is instead of becoming markup.
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
+
+// ===============================
+// DATE HELPERS
+// ===============================
+
 /*
- * getData(key)
- * Retrieves a JS object/array from localStorage.
- * JSON.parse converts the stored string back into a JS object.
- * If no data exists, returns an empty array by default.
+ * Dates are stored as ISO strings (new Date().toISOString()) so they sort
+ * and compare correctly. formatDate() turns them back into the readable
+ * local format for tables. Anything it can't parse is shown as-is.
  */
-function getData(key) {
-    const data = localStorage.getItem(key);
-    return data ? JSON.parse(data) : [];
+function formatDate(value) {
+    const date = new Date(value);
+    return isNaN(date) ? value : date.toLocaleString();
 }
 
 /*
- * initializeStorage()
- * Ensures all required storage keys exist in localStorage before the app starts.
- * This prevents errors when trying to get or push data into a key that doesn't exist.
+ * Date ranges used by reports: { start, end } as Date objects.
+ * start is included, end is NOT (end = midnight after the last day),
+ * so "this month" is simply 1st of this month → 1st of next month.
  */
-function initializeStorage() {
-    // List all storage keys we need
-    const keys = ['products', 'sales', 'expenses', 'payments'];
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
 
-    keys.forEach(key => {
-        if (!localStorage.getItem(key)) {
-            setData(key, []); // initialize with empty array
-        }
-    });
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function isDateInRange(value, range) {
+    const date = new Date(value);
+    if (isNaN(date)) return false; // unreadable dates never match a range
+    return date >= range.start && date < range.end;
+}
+
+/*
+ * getPresetRange(period)
+ * period: 'today' | 'week' | 'month' | 'all'. Returns null for 'all'.
+ */
+function getPresetRange(period) {
+
+    const today = startOfDay(new Date());
+
+    if (period === 'today') {
+        return { period, start: today, end: addDays(today, 1) };
+    }
+
+    if (period === 'week') {
+        // Weeks start on Monday
+        const daysSinceMonday = (today.getDay() + 6) % 7;
+        const monday = addDays(today, -daysSinceMonday);
+        return { period, start: monday, end: addDays(monday, 7) };
+    }
+
+    if (period === 'month') {
+        return {
+            period,
+            start: new Date(today.getFullYear(), today.getMonth(), 1),
+            end: new Date(today.getFullYear(), today.getMonth() + 1, 1)
+        };
+    }
+
+    return null;
+}
+
+/*
+ * getCustomRange(from, to)
+ * from / to are "YYYY-MM-DD" values from <input type="date">. Both days are included.
+ */
+function getCustomRange(from, to) {
+
+    if (!from || !to) return null;
+
+    const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+    const [toYear, toMonth, toDay] = to.split('-').map(Number);
+
+    const start = new Date(fromYear, fromMonth - 1, fromDay);
+    const end = addDays(new Date(toYear, toMonth - 1, toDay), 1);
+
+    if (end <= start) return null;
+
+    return { period: 'custom', start, end };
+}
+
+/*
+ * getPreviousRange(range)
+ * The equivalent period just before: yesterday, last week, last month,
+ * or the same number of days before a custom range.
+ */
+function getPreviousRange(range) {
+
+    if (range.period === 'month') {
+        return {
+            period: 'month',
+            start: new Date(range.start.getFullYear(), range.start.getMonth() - 1, 1),
+            end: range.start
+        };
+    }
+
+    const days = Math.round((range.end - range.start) / 86400000);
+    return { period: range.period, start: addDays(range.start, -days), end: range.start };
 }
 
-// Run initialization immediately
-initializeStorage();
+function formatRange(range) {
+    const lastDay = addDays(range.end, -1);
+    const from = range.start.toLocaleDateString();
+    const to = lastDay.toLocaleDateString();
+    return from === to ? from : `${from} – ${to}`;
+}
 
 
 
@@ -84,829 +181,5857 @@ navButtons.forEach(button => {
 
 
 // ===============================
-// PRODUCTS MODULE
+// STAFF ACCOUNTS & PERMISSIONS
 // ===============================
 
+/*
+ * Staff record:
+ * { id, name, role: 'owner' | 'cashier', pinSalt, pinHash, date }
+ *
+ * With no accounts set up the app stays open to everyone, just like before.
+ * Once the first account (always an owner) exists, everyone signs in with a PIN.
+ *
+ * Cashiers can sell, take returns and record expenses. Deleting records,
+ * editing sales, changing prices or stock counts, going over a customer's
+ * credit limit and taking credit payments need an owner, who approves on
+ * the spot by typing their PIN (see requireOwner()).
+ */
+
 // ----- DOM ELEMENTS -----
-const productForm = document.getElementById('productForm');
-const productTableBody = document.querySelector('#productTable tbody');
+const loginOverlay = document.getElementById('loginOverlay');
+const loginForm = document.getElementById('loginForm');
+const loginStaffSelect = document.getElementById('loginStaff');
+const loginPinInput = document.getElementById('loginPin');
+const staffBar = document.getElementById('staffBar');
+const staffBarName = document.getElementById('staffBarName');
+const logoutBtn = document.getElementById('logoutBtn');
+const staffForm = document.getElementById('staffForm');
+const staffRoleSelect = document.getElementById('staffRole');
+const staffTableBody = document.querySelector('#staffTable tbody');
 
-// ----- STATE: in-memory products array -----
-let products = getData('products'); // Initialize from LocalStorage
+// ----- STATE -----
+let staff = [];              // Filled from storage in startApp()
+let currentStaff = null;     // Who is signed in on this tab (null = nobody)
 
-// ----- HELPER: Generate unique ID for each product -----
-function generateId() {
-    return '_' + Math.random().toString(36).substr(2, 9);
+const STAFF_ROLES = { owner: 'Owner', cashier: 'Cashier' };
+
+// The signed-in account is per tab, so closing the browser signs everyone out
+const STAFF_SESSION_KEY = 'currentStaffId';
+
+/*
+ * PINs are stored salted and hashed (SHA-256) so they can't be read straight
+ * out of a backup file. A 4-digit PIN can never be truly secret in a browser -
+ * this keeps honest people honest, it is not bank-grade security.
+ * Resolves to 64 hex characters.
+ */
+async function hashPin(pin, salt) {
+    const bytes = new TextEncoder().encode(`${salt}:${pin}`);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
 }
 
-// ----- RENDER FUNCTION -----
-function renderProducts() {
-    // Clear the table before rendering
-    productTableBody.innerHTML = '';
+function isValidPin(pin) {
+    return /^\d{4,8}$/.test(pin);
+}
 
-    products.forEach((product, index) => {
-        const tr = document.createElement('tr');
+/*
+ * checkPin(member, pin)
+ * Resolves to true if the PIN is right. Accounts made before SHA-256 have an
+ * 8-character checksum instead: the first right PIN replaces it with a proper hash.
+ */
+async function checkPin(member, pin) {
 
-        // Highlight low stock
-        const lowStockClass = product.quantity <= 5 ? 'low-stock' : '';
+    if (member.pinHash.length === 64) return member.pinHash === await hashPin(pin, member.pinSalt);
 
-        tr.innerHTML = `
-            <td>${product.name}</td>
-            <td class="${lowStockClass}">${product.quantity}</td>
-            <td>${product.costPrice}</td>
-            <td>${product.sellPrice}</td>
-            <td>
-                <button class="edit-btn" data-id="${product.id}">Edit</button>
-                <button class="delete-btn" data-id="${product.id}">Delete</button>
-                <button class="restock-btn" data-id="${product.id}">Restock</button>
-            </td>
-        `;
+    if (member.pinHash !== calculateChecksum(`${member.pinSalt}:${pin}`)) return false;
 
-        productTableBody.appendChild(tr);
-    });
+    member.pinHash = await hashPin(pin, member.pinSalt);
+    setData('staff', staff);
+    return true;
 }
 
-// ----- ADD / EDIT PRODUCT -----
-let editingProductId = null; // Tracks if we are editing
+// Accounts switched on? (no accounts = no sign in, no restrictions)
+function staffEnabled() {
+    return staff.length > 0;
+}
 
-productForm.addEventListener('submit', function(e) {
-    e.preventDefault();
+function isOwner() {
+    return !staffEnabled() || (currentStaff !== null && currentStaff.role === 'owner');
+}
 
-    const name = document.getElementById('productName').value.trim();
-    const quantity = parseInt(document.getElementById('productQuantity').value);
-    const costPrice = parseFloat(document.getElementById('productCostPrice').value);
-    const sellPrice = parseFloat(document.getElementById('productSellPrice').value);
+// Who did it - copied onto sales, expenses, returns and payments
+function getStaffStamp() {
+    return {
+        staffId: currentStaff ? currentStaff.id : null,
+        staffName: currentStaff ? currentStaff.name : null
+    };
+}
 
-    // Validation: Sell price must be greater than cost
-    if (sellPrice <= costPrice) {
-        alert("Sell Price must be greater than Cost Price!");
-        return;
-    }
+/*
+ * requireOwner(action)
+ * action: what is being done, e.g. "delete this product".
+ * Resolves to the owner who allowed it, or null if it was not allowed.
+ * Owners (and shops without accounts) allow their own actions;
+ * a cashier has to call an owner over to type their PIN.
+ */
+async function requireOwner(action) {
 
-    if (editingProductId) {
-        // Edit existing product
-        const productIndex = products.findIndex(p => p.id === editingProductId);
-        products[productIndex] = { id: editingProductId, name, quantity, costPrice, sellPrice };
-        editingProductId = null; // Reset editing state
-    } else {
-        // Add new product
-        const newProduct = { id: generateId(), name, quantity, costPrice, sellPrice };
-        products.push(newProduct);
-    }
+    if (!staffEnabled()) return { id: null, name: null };
+    if (isOwner()) return currentStaff;
 
-    setData('products', products); // Save to LocalStorage
-    renderProducts();              // Refresh table
-    productForm.reset();           // Reset form
-});
+    const pin = prompt(`Owner approval needed to ${action}.\n\nOwner PIN:`);
+    if (pin === null) return null; // cancelled
 
-// ----- TABLE BUTTONS (DELETE, EDIT, RESTOCK) -----
-productTableBody.addEventListener('click', function(e) {
-    const id = e.target.dataset.id;
-    const productIndex = products.findIndex(p => p.id === id);
-    if (productIndex === -1) return; // Safety check
+    let owner = null;
 
-    // DELETE
-    if (e.target.classList.contains('delete-btn')) {
-        if (confirm("Are you sure you want to delete this product?")) {
-            products.splice(productIndex, 1);
-            setData('products', products);
-            renderProducts();
+    for (const member of staff.filter(m => m.role === 'owner')) {
+        if (await checkPin(member, pin.trim())) {
+            owner = member;
+            break;
         }
     }
 
-    // EDIT
-    if (e.target.classList.contains('edit-btn')) {
-        const product = products[productIndex];
-        document.getElementById('productName').value = product.name;
-        document.getElementById('productQuantity').value = product.quantity;
-        document.getElementById('productCostPrice').value = product.costPrice;
-        document.getElementById('productSellPrice').value = product.sellPrice;
-        editingProductId = id; // Track editing
-    }
-
-    // RESTOCK
-    if (e.target.classList.contains('restock-btn')) {
-        const amount = parseInt(prompt("Enter quantity to add:"));
-        if (!isNaN(amount) && amount > 0) {
-            products[productIndex].quantity += amount;
-            setData('products', products);
-            renderProducts();
-        }
+    if (!owner) {
+        alert("Wrong owner PIN. Nothing was changed.");
+        return null;
     }
-});
-
-// ----- INITIAL RENDER -----
-renderProducts();
-
-
-// ===============================
-// SALES MODULE
-// ===============================
-
-// ----- DOM ELEMENTS -----
-const saleForm = document.getElementById('saleForm');
-const productSearch = document.getElementById('productSearch');
-const selectedProductInfo = document.getElementById('selectedProductInfo');
-const searchResults = document.getElementById('searchResults');
-const salesTableBody = document.querySelector('#salesTable tbody');
 
-const paymentTypeSelect = document.getElementById('paymentType');
-const customerField = document.getElementById('customerField');
-const customerNameInput = document.getElementById('customerName');
+    return owner;
+}
 
-// ----- STATE -----
-let sales = getData('sales');
-let selectedProduct = null;
-let editingSaleId = null; // track editing state
+// The owner who approved a cashier's action (null when nobody had to)
+function getApprovedBy(approver) {
+    return approver && currentStaff && approver.id !== currentStaff.id ? approver.name : null;
+}
 
 
 // ===============================
-// PRODUCT SEARCH DROPDOWN
+// SIGN IN / SIGN OUT
 // ===============================
 
-productSearch.addEventListener('input', function () {
+function renderStaffBar() {
 
-    const searchValue = this.value.toLowerCase().trim();
-    searchResults.innerHTML = '';
+    staffBar.classList.toggle('hidden', !currentStaff);
+    loginOverlay.classList.toggle('hidden', !staffEnabled() || currentStaff !== null);
 
-    if (searchValue === '') {
-        searchResults.style.display = 'none';
-        return;
+    if (currentStaff) {
+        staffBarName.textContent = `Signed in as ${currentStaff.name} (${STAFF_ROLES[currentStaff.role]})`;
     }
 
-    const filteredProducts = products.filter(product =>
-        product.name.toLowerCase().includes(searchValue)
-    );
+    // Fresh list of names for the sign in screen
+    loginStaffSelect.innerHTML = '';
 
-    if (filteredProducts.length === 0) {
-        searchResults.style.display = 'none';
-        return;
-    }
+    staff.forEach(member => {
+        const option = document.createElement('option');
+        option.value = member.id;
+        option.textContent = member.name;
+        loginStaffSelect.appendChild(option);
+    });
+}
 
-    filteredProducts.forEach(product => {
+function signIn(member) {
+    currentStaff = member;
+    sessionStorage.setItem(STAFF_SESSION_KEY, member.id);
+    setAuditUser(getStaffStamp());
+    renderStaffBar();
+    renderStaff();
+}
 
-        const div = document.createElement('div');
-        div.classList.add('search-item');
-        div.textContent = product.name;
+loginForm.addEventListener('submit', async function (e) {
 
-        div.addEventListener('click', function () {
+    e.preventDefault();
 
-            selectedProduct = product;
-            productSearch.value = product.name;
+    const member = staff.find(m => m.id === loginStaffSelect.value);
+    const pin = loginPinInput.value.trim();
 
-            selectedProductInfo.innerHTML = `
-                <p><strong>Stock:</strong> ${product.quantity}</p>
-                <p><strong>Cost Price:</strong> ${product.costPrice}</p>
-                <p><strong>Default Sell Price:</strong> ${product.sellPrice}</p>
-            `;
+    loginForm.reset();
 
-            document.getElementById('salePrice').value = product.sellPrice;
-            searchResults.style.display = 'none';
-        });
+    if (!member || !(await checkPin(member, pin))) {
+        alert("Wrong PIN. Please try again.");
+        return;
+    }
 
-        searchResults.appendChild(div);
-    });
+    signIn(member);
+});
 
-    searchResults.style.display = 'block';
+logoutBtn.addEventListener('click', function () {
+    currentStaff = null;
+    sessionStorage.removeItem(STAFF_SESSION_KEY);
+    setAuditUser(getStaffStamp());
+    renderStaffBar();
+    renderStaff();
 });
 
 
 // ===============================
-// SALE SUBMISSION (ADD / EDIT)
+// MANAGE STAFF ACCOUNTS
 // ===============================
 
-saleForm.addEventListener('submit', function (e) {
+staffForm.addEventListener('submit', async function (e) {
 
     e.preventDefault();
 
-    if (!selectedProduct) {
-        alert("Please select a valid product.");
+    if (!isOwner()) {
+        alert("Only an owner can add staff accounts.");
         return;
     }
 
-    const salePrice = parseFloat(document.getElementById('salePrice').value);
-    const quantity = parseInt(document.getElementById('saleQuantity').value);
-    const paymentType = paymentTypeSelect.value;
-    const customerName = customerNameInput.value.trim();
+    const name = document.getElementById('staffName').value.trim();
+    const pin = document.getElementById('staffPin').value.trim();
+    const isFirst = !staffEnabled();
+
+    // The very first account has to be able to manage the others
+    const role = isFirst ? 'owner' : staffRoleSelect.value;
 
-    if (salePrice <= selectedProduct.costPrice) {
-        alert("Selling price cannot be less than or equal to cost price.");
+    if (!name) {
+        alert("Please enter a name.");
         return;
     }
 
-    if (quantity > selectedProduct.quantity) {
-        alert("Not enough stock available.");
+    if (staff.some(member => member.name.toLowerCase() === name.toLowerCase())) {
+        alert(`There is already an account called ${name}.`);
         return;
     }
 
-    if (paymentType === 'credit' && customerName === '') {
-        alert("Customer name is required for credit sales.");
+    if (!isValidPin(pin)) {
+        alert("The PIN must be 4 to 8 digits.");
         return;
     }
 
-    // Deduct stock
-    selectedProduct.quantity -= quantity;
-    setData('products', products);
-
-    const total = salePrice * quantity;
+    if (isFirst && !confirm(
+        `${name} will be the owner account.\n\n` +
+        `From now on everyone has to sign in with a PIN. Continue?`
+    )) return;
+
+    const pinSalt = generateId();
+    const member = {
+        id: generateId(),
+        name,
+        role,
+        pinSalt,
+        pinHash: await hashPin(pin, pinSalt),
+        date: new Date().toISOString()
+    };
 
-    let paidAmount = paymentType === "credit" ? 0 : total;
-    let remainingBalance = paymentType === "credit" ? total : 0;
-    let status = paymentType === "credit" ? "Unpaid" : "Paid";
+    staff.push(member);
+    setData('staff', staff);
 
-    const sale = {
-        id: editingSaleId || '_' + Date.now(),
-        productId: selectedProduct.id,
-        productName: selectedProduct.name,
-        quantity,
-        salePrice,
-        total,
-        costPrice: selectedProduct.costPrice,
-        paymentType,
-        customerName: paymentType === "credit" ? customerName : null,
-        paidAmount,
-        remainingBalance,
-        status,
-        date: new Date().toLocaleString()
-    };
+    staffForm.reset();
 
-    if (editingSaleId) {
-        const index = sales.findIndex(s => s.id === editingSaleId);
-        sales[index] = sale;
-        editingSaleId = null;
+    // Whoever set up the first account is signed in as it
+    if (isFirst) {
+        signIn(member);
     } else {
-        sales.push(sale);
+        renderStaffBar();
+        renderStaff();
     }
-
-    setData('sales', sales);
-
-    saleForm.reset();
-    selectedProductInfo.innerHTML = '';
-    selectedProduct = null;
-    customerField.style.display = 'none';
-
-    renderProducts();
-    renderSales();
-
-    alert("Sale completed successfully!");
 });
 
+staffTableBody.addEventListener('click', async function (e) {
 
-// ===============================
-// DELETE & EDIT SALES
-// ===============================
-
-salesTableBody.addEventListener('click', function (e) {
-
-    const id = e.target.dataset.id;
-    const saleIndex = sales.findIndex(s => s.id === id);
-    if (saleIndex === -1) return;
+    const member = staff.find(m => m.id === e.target.dataset.id);
+    if (!member) return;
 
-    const sale = sales[saleIndex];
+    // CHANGE PIN (owners for anyone, cashiers for themselves)
+    if (e.target.classList.contains('change-pin-btn')) {
 
-    // DELETE
-    if (e.target.classList.contains('delete-sale-btn')) {
+        if (!isOwner() && member !== currentStaff) {
+            alert("Only an owner can change someone else's PIN.");
+            return;
+        }
 
-        if (!confirm("Delete this sale? Stock will be restored.")) return;
+        const pin = prompt(`New PIN for ${member.name} (4 to 8 digits):`);
+        if (pin === null) return;
 
-        // Restore stock
-        const product = products.find(p => p.id === sale.productId);
-        if (product) {
-            product.quantity += sale.quantity;
-            setData('products', products);
+        if (!isValidPin(pin.trim())) {
+            alert("The PIN must be 4 to 8 digits.");
+            return;
         }
 
-        sales.splice(saleIndex, 1);
-        setData('sales', sales);
+        member.pinSalt = generateId();
+        member.pinHash = await hashPin(pin.trim(), member.pinSalt);
+        setData('staff', staff);
 
-        renderProducts();
-        renderSales();
+        alert(`PIN changed for ${member.name}.`);
     }
 
-    // EDIT
-    if (e.target.classList.contains('edit-sale-btn')) {
+    // DELETE
+    if (e.target.classList.contains('delete-staff-btn')) {
 
-        // Restore stock first
-        const product = products.find(p => p.id === sale.productId);
-        if (product) {
-            product.quantity += sale.quantity;
+        if (!isOwner()) {
+            alert("Only an owner can delete staff accounts.");
+            return;
         }
 
-        editingSaleId = sale.id;
-
-        productSearch.value = sale.productName;
-        selectedProduct = product;
-
-        document.getElementById('saleQuantity').value = sale.quantity;
-        document.getElementById('salePrice').value = sale.salePrice;
+        if (member === currentStaff) {
+            alert("You can't delete the account you are signed in with.");
+            return;
+        }
 
-        if (sale.paymentType === "credit") {
-            paymentTypeSelect.value = "credit";
-            customerField.style.display = 'block';
-            customerNameInput.value = sale.customerName;
-        } else {
-            paymentTypeSelect.value = sale.paymentType;
+        if (member.role === 'owner' && staff.filter(m => m.role === 'owner').length === 1) {
+            alert("This is the last owner account, so it can't be deleted.");
+            return;
         }
 
-        sales.splice(saleIndex, 1);
-        setData('sales', sales);
+        if (!confirm(`Delete the account for ${member.name}? Their past sales keep their name.`)) return;
 
-        renderProducts();
-        renderSales();
+        staff = staff.filter(m => m !== member);
+        setData('staff', staff);
+
+        renderStaffBar();
+        renderStaff();
     }
 });
 
+function renderStaff() {
+
+    staffTableBody.innerHTML = '';
+
+    // Until the first account exists it can only be an owner
+    staffRoleSelect.disabled = !staffEnabled();
+    if (!staffEnabled()) staffRoleSelect.value = 'owner';
+
+    staff.forEach(member => {
+
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${member.name}${member === currentStaff ? ' <small>(you)</small>' : ''}</td>
+            <td>${STAFF_ROLES[member.role]}</td>
+            <td>${formatDate(member.date)}</td>
+            <td>
+                <button class="change-pin-btn" data-id="${member.id}">Change PIN</button>
+                <button class="delete-staff-btn" data-id="${member.id}">Delete</button>
+            </td>
+        `;
+
+        staffTableBody.appendChild(tr);
+    });
+}
+
+
+
+// ===============================
+// DASHBOARD MODULE
+// ===============================
+
+/*
+ * The dashboard reads the in-memory state of the other modules
+ * (products, sales, expenses, payments), so renderDashboard() must be called
+ * after every sale, expense, restock or payment is saved.
+ */
+
+// ----- DOM ELEMENTS -----
+const dashboardRevenueEl = document.getElementById('dashboardRevenue');
+const dashboardNetProfitEl = document.getElementById('dashboardNetProfit');
+const dashboardExpensesEl = document.getElementById('dashboardExpenses');
+const dashboardTopProductEl = document.getElementById('dashboardTopProduct');
+const dashboardTodaySalesEl = document.getElementById('dashboardTodaySales');
+const dashboardTodayCountEl = document.getElementById('dashboardTodayCount');
+const dashboardCreditEl = document.getElementById('dashboardCredit');
+const lowStockList = document.getElementById('lowStockList');
+const recentTransactionsBody = document.querySelector('#recentTransactionsTable tbody');
+
+const RECENT_TRANSACTIONS_LIMIT = 8;
+
+/*
+ * getRecentTransactions()
+ * Latest sales, returns, expenses and payments mixed together, newest first.
+ */
+function getRecentTransactions() {
+
+    const transactions = [
+        ...sales.map(sale => ({
+            date: sale.date,
+            type: 'Sale',
+            details: getSaleItems(sale).map(item => `${item.productName} × ${item.quantity}`).join(', '),
+            amount: sale.total
+        })),
+        ...returns.map(saleReturn => ({
+            date: saleReturn.date,
+            type: 'Return',
+            details: saleReturn.items.map(item => `${item.productName} × ${item.quantity}`).join(', '),
+            amount: -saleReturn.total
+        })),
+        ...expenses.map(expense => ({
+            date: expense.date,
+            type: 'Expense',
+            details: expense.title,
+            amount: -expense.amount
+        })),
+        ...payments.map(payment => ({
+            date: payment.date,
+            type: payment.reversed ? 'Payment (reversed)' : 'Payment',
+            details: payment.customerName,
+            amount: payment.amount
+        }))
+    ];
+
+    return transactions
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .slice(0, RECENT_TRANSACTIONS_LIMIT);
+}
+
+function renderDashboard() {
+
+    // ----- ALL-TIME TOTALS (same figures as Reports → All Time) -----
+    const totals = calculateReport(sales, products, expenses, null, returns);
+
+    dashboardRevenueEl.textContent = `₦${totals.revenue.toFixed(2)}`;
+    dashboardNetProfitEl.textContent = `₦${totals.netProfit.toFixed(2)}`;
+    dashboardExpensesEl.textContent = `₦${totals.expenses.toFixed(2)}`;
+    dashboardTopProductEl.textContent = totals.topProduct;
+
+    // ----- TODAY'S SALES -----
+    const today = getPresetRange('today');
+    const todaySales = sales.filter(sale => isDateInRange(sale.date, today));
+    const todayTotal = todaySales.reduce((sum, sale) => sum + sale.total, 0);
+
+    dashboardTodaySalesEl.textContent = `₦${todayTotal.toFixed(2)}`;
+    dashboardTodayCountEl.textContent =
+        `${todaySales.length} sale${todaySales.length === 1 ? '' : 's'}`;
+
+    // ----- OUTSTANDING CREDIT -----
+    const outstandingCredit = sales
+        .filter(sale => sale.paymentType === "credit")
+        .reduce((sum, sale) => sum + (sale.remainingBalance || 0), 0);
+
+    dashboardCreditEl.textContent = `₦${outstandingCredit.toFixed(2)}`;
+
+    // ----- LOW STOCK -----
+    const lowStock = products.filter(product => product.quantity <= LOW_STOCK_LEVEL);
+
+    lowStockList.innerHTML = lowStock.length === 0
+        ? '<li>All products are well stocked.</li>'
+        : lowStock
+            .map(product => `<li><strong>${product.name}</strong>: ${product.quantity} left</li>`)
+            .join('');
+
+    // ----- RECENT TRANSACTIONS -----
+    const recent = getRecentTransactions();
+
+    recentTransactionsBody.innerHTML = '';
+
+    if (recent.length === 0) {
+        recentTransactionsBody.innerHTML = `
+            <tr>
+                <td colspan="4">No transactions yet.</td>
+            </tr>
+        `;
+        return;
+    }
+
+    recent.forEach(transaction => {
+
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${formatDate(transaction.date)}</td>
+            <td>${transaction.type}</td>
+            <td>${transaction.details}</td>
+            <td>${transaction.amount.toFixed(2)}</td>
+        `;
+
+        recentTransactionsBody.appendChild(tr);
+    });
+}
+
+
+
+// ===============================
+// PRODUCTS MODULE
+// ===============================
+
+// ----- DOM ELEMENTS -----
+const productForm = document.getElementById('productForm');
+const productTableBody = document.querySelector('#productTable tbody');
+const productCategoryFilter = document.getElementById('productCategoryFilter');
+const saleCategoryFilter = document.getElementById('saleCategoryFilter');
+const categoryOptionsList = document.getElementById('categoryOptions');
+
+// ----- STATE: in-memory products array -----
+let products = []; // Filled from storage in startApp()
+
+// Products at or below this quantity count as low stock
+const LOW_STOCK_LEVEL = 5;
+
+// ----- HELPER: Generate unique ID for each product -----
+function generateId() {
+    return '_' + Math.random().toString(36).substr(2, 9);
+}
+
+
+// ===============================
+// STOCK MOVEMENT LEDGER
+// ===============================
+
+/*
+ * Every change to a product's quantity is logged in "stockMovements":
+ * { id, productId, productName, type, delta, balance, unitCost, date, reference }
+ *
+ * type: 'sale' | 'restock' | 'return' | 'adjustment' | 'sale-reversal'
+ * delta: +/- quantity, balance: quantity left after the change
+ * unitCost: what each unit added cost, or what the units taken out had cost
+ */
+
+let stockMovements = [];       // Filled from storage in startApp()
+let stockCardProductId = null; // Product whose stock card is open
+
+
+// ----- COST LAYERS -----
+
+/*
+ * Stock on the shelf is kept in cost layers, one per batch:
+ * product.costLayers = [{ quantity, unitCost, date, reference }] (oldest first)
+ *
+ * product.costingMethod decides which units a sale takes:
+ *   'fifo'    → oldest batch first
+ *   'average' → every unit costs the weighted average (kept as one layer)
+ *
+ * product.costPrice is the cost of the next unit to be sold
+ * (oldest layer for FIFO, the average for weighted average).
+ */
+const COSTING_METHODS = { fifo: 'FIFO', average: 'Weighted Average' };
+
+/*
+ * addCostLayer(product, quantity, unitCost, reference, atFront)
+ * atFront: units coming back (sale reversal, return) were the oldest ones out.
+ */
+function addCostLayer(product, quantity, unitCost, reference, atFront) {
+
+    if (!product.costLayers) product.costLayers = [];
+
+    const layer = { quantity, unitCost, date: new Date().toISOString(), reference };
+
+    if (product.costingMethod === 'average' && product.costLayers.length > 0) {
+        // Blend into the single average layer
+        const current = product.costLayers[0];
+        const totalQuantity = current.quantity + quantity;
+        current.unitCost = totalQuantity > 0
+            ? (current.quantity * current.unitCost + quantity * unitCost) / totalQuantity
+            : unitCost;
+        current.quantity = totalQuantity;
+        return;
+    }
+
+    if (atFront) product.costLayers.unshift(layer);
+    else product.costLayers.push(layer);
+}
+
+/*
+ * takeFromCostLayers(product, quantity)
+ * Removes units from the layers (oldest first) and returns what they cost in total.
+ * If the layers run out, the rest is costed at the current cost price.
+ */
+function takeFromCostLayers(product, quantity) {
+
+    if (!product.costLayers) product.costLayers = [];
+
+    let remaining = quantity;
+    let cost = 0;
+
+    while (remaining > 0 && product.costLayers.length > 0) {
+        const layer = product.costLayers[0];
+        const taken = Math.min(remaining, layer.quantity);
+
+        cost += taken * layer.unitCost;
+        layer.quantity -= taken;
+        remaining -= taken;
+
+        if (layer.quantity <= 0) product.costLayers.shift();
+    }
+
+    return cost + remaining * product.costPrice;
+}
+
+function refreshCostPrice(product) {
+    if (product.costLayers && product.costLayers.length > 0) {
+        product.costPrice = Math.round(product.costLayers[0].unitCost * 100) / 100;
+    }
+}
+
+/*
+ * changeStock(product, delta, type, reference, unitCost)
+ * The ONLY place product quantities should change, so the ledger and the
+ * cost layers never miss one. unitCost is only used when stock goes up
+ * (defaults to the current cost price).
+ * Returns the movement, whose unitCost tells a sale what its units cost.
+ * Call saveStock() afterwards to write both products and movements.
+ */
+function changeStock(product, delta, type, reference, unitCost) {
+
+    let movementCost;
+
+    if (delta > 0) {
+        movementCost = unitCost !== undefined ? unitCost : product.costPrice;
+        const comingBack = type === 'sale-reversal' || type === 'return';
+        addCostLayer(product, delta, movementCost, reference, comingBack);
+    } else {
+        const totalCost = takeFromCostLayers(product, -delta);
+        movementCost = delta !== 0 ? totalCost / -delta : product.costPrice;
+    }
+
+    product.quantity += delta;
+    refreshCostPrice(product);
+
+    const movement = {
+        id: generateId(),
+        productId: product.id,
+        productName: product.name,
+        type,
+        delta,
+        balance: product.quantity,
+        unitCost: movementCost,
+        date: new Date().toISOString(),
+        reference
+    };
+
+    stockMovements.push(movement);
+    return movement;
+}
+
+/*
+ * saveStock(otherData)
+ * Writes products and movements, plus whatever else the same action changed
+ * (e.g. { sales }), in one go: if another tab changed any of it first,
+ * none of it is saved (see setDataTogether in storage.js).
+ */
+function saveStock(otherData = {}) {
+    setDataTogether({ products, stockMovements, ...otherData });
+}
+
+// ----- CATEGORIES -----
+// A product's category is free text (product.category, null = none);
+// the list of categories is simply every one in use.
+
+const UNCATEGORISED = 'Uncategorised';
+
+// Every category in use, A → Z
+function getCategories() {
+    return [...new Set(products.map(p => p.category).filter(Boolean))]
+        .sort((a, b) => a.localeCompare(b));
+}
+
+/*
+ * normalizeCategory(name)
+ * "drinks " → "Drinks" when a "Drinks" category already exists,
+ * so the same category is never spelled two ways.
+ */
+function normalizeCategory(name) {
+    const trimmed = (name || '').trim();
+    if (trimmed === '') return null;
+
+    return getCategories().find(c => c.toLowerCase() === trimmed.toLowerCase()) || trimmed;
+}
+
+// Does a product belong to the category picked in a filter ('' = all)?
+function matchesCategory(product, filter) {
+    if (!filter) return true;
+    if (filter === UNCATEGORISED) return !product.category;
+    return product.category === filter;
+}
+
+/*
+ * renderCategoryOptions()
+ * Refreshes every category dropdown (filters and the product form's suggestions),
+ * keeping whatever was selected if it still exists.
+ */
+function renderCategoryOptions() {
+
+    const categories = getCategories();
+    const options = categories.map(c => `<option value="${c}">${c}</option>`).join('');
+
+    [productCategoryFilter, saleCategoryFilter].forEach(select => {
+        const selected = select.value;
+        select.innerHTML = `
+            <option value="">All categories</option>
+            ${options}
+            <option value="${UNCATEGORISED}">${UNCATEGORISED}</option>
+        `;
+        select.value = selected === UNCATEGORISED || categories.includes(selected) ? selected : '';
+    });
+
+    categoryOptionsList.innerHTML = options;
+}
+
+// ----- SKU / BARCODE -----
+
+/*
+ * findProductByCode(code, exceptId)
+ * The product whose SKU/barcode matches exactly (ignoring case and spaces
+ * around it). exceptId skips one product, for uniqueness checks while editing.
+ */
+function findProductByCode(code, exceptId) {
+    const wanted = (code || '').trim().toLowerCase();
+    if (wanted === '') return undefined;
+
+    return products.find(p =>
+        p.id !== exceptId && p.sku && p.sku.toLowerCase() === wanted
+    );
+}
+
+// ----- RENDER FUNCTION -----
+function renderProducts() {
+    // Clear the table before rendering
+    productTableBody.innerHTML = '';
+
+    renderCategoryOptions();
+
+    // Category filter above the table ('' = all)
+    const visibleProducts = products.filter(product =>
+        matchesCategory(product, productCategoryFilter.value)
+    );
+
+    visibleProducts.forEach(product => {
+        const tr = document.createElement('tr');
+
+        // Highlight low stock
+        const lowStockClass = product.quantity <= LOW_STOCK_LEVEL ? 'low-stock' : '';
+        const taxRate = getProductTaxRate(product.id);
+
+        tr.innerHTML = `
+            <td>${product.name}${product.sku ? `<br><small>SKU: ${product.sku}</small>` : ''}</td>
+            <td>${product.category || '-'}</td>
+            <td class="${lowStockClass}">${product.quantity}</td>
+            <td>${product.costPrice} <small>(${COSTING_METHODS[product.costingMethod] || 'FIFO'})</small></td>
+            <td>${product.sellPrice}${taxRate ? ` <small>(${formatTaxRate(taxRate)})</small>` : ''}</td>
+            <td>
+                <button class="edit-btn" data-id="${product.id}">Edit</button>
+                <button class="delete-btn" data-id="${product.id}">Delete</button>
+                <button class="restock-btn" data-id="${product.id}">Restock</button>
+                <button class="stock-card-btn" data-id="${product.id}">Stock Card</button>
+            </td>
+        `;
+
+        productTableBody.appendChild(tr);
+    });
+
+    // Quantities may have changed, so refresh the open stock card too
+    renderStockCard();
+
+    // Keep the purchase order product dropdown in step with the list
+    renderPoLines();
+}
+
+// ----- ADD / EDIT PRODUCT -----
+let editingProductId = null; // Tracks if we are editing
+
+productForm.addEventListener('submit', async function (e) {
+    e.preventDefault();
+
+    const name = document.getElementById('productName').value.trim();
+    const quantity = parseInt(document.getElementById('productQuantity').value);
+    const costPrice = parseFloat(document.getElementById('productCostPrice').value);
+    const sellPrice = parseFloat(document.getElementById('productSellPrice').value);
+    const costingMethod = document.getElementById('productCostingMethod').value;
+    const taxRateId = productTaxRateSelect.value || null;
+    const sku = document.getElementById('productSku').value.trim() || null;
+    const category = normalizeCategory(document.getElementById('productCategory').value);
+
+    // Validation: Sell price must be greater than cost
+    if (sellPrice <= costPrice) {
+        alert("Sell Price must be greater than Cost Price!");
+        return;
+    }
+
+    // Validation: a code must point at exactly one product
+    const codeOwner = findProductByCode(sku, editingProductId);
+    if (codeOwner) {
+        alert(`SKU/barcode "${sku}" is already used by ${codeOwner.name}.`);
+        return;
+    }
+
+    if (editingProductId) {
+        // Edit existing product (quantity goes through the stock ledger)
+        const productIndex = products.findIndex(p => p.id === editingProductId);
+        const oldProduct = products[productIndex];
+
+        // Prices and stock counts are both the owner's to change
+        const sensitive = [];
+        if (costPrice !== oldProduct.costPrice || sellPrice !== oldProduct.sellPrice) sensitive.push('prices');
+        if (quantity !== oldProduct.quantity) sensitive.push('stock quantity');
+
+        if (sensitive.length && !(await requireOwner(`change the ${sensitive.join(' and ')} of ${oldProduct.name}`))) return;
+
+        // Typing a new cost here re-prices stock already on the shelf.
+        // New batches at a new cost should come in through Restock instead.
+        if (costPrice !== oldProduct.costPrice && oldProduct.quantity > 0) {
+            const revalue = confirm(
+                `Changing the cost here re-prices all ${oldProduct.quantity} units already in stock at ${costPrice}.\n\n` +
+                `To record a new batch at a different cost, use Restock instead.\n\nRe-price the stock on the shelf?`
+            );
+            if (!revalue) return;
+        }
+
+        const product = {
+            ...oldProduct,
+            name,
+            sellPrice,
+            costingMethod,
+            taxRateId,
+            sku,
+            category,
+            costLayers: (oldProduct.costLayers || []).map(layer => ({ ...layer }))
+        };
+
+        if (costPrice !== oldProduct.costPrice) {
+            product.costLayers.forEach(layer => { layer.unitCost = costPrice; });
+            product.costPrice = costPrice;
+        }
+
+        // Switching to weighted average: blend the layers into one
+        if (costingMethod === 'average' && product.costLayers.length > 1) {
+            const totalQuantity = product.costLayers.reduce((sum, l) => sum + l.quantity, 0);
+            const totalCost = product.costLayers.reduce((sum, l) => sum + l.quantity * l.unitCost, 0);
+            product.costLayers = [{
+                quantity: totalQuantity,
+                unitCost: totalQuantity > 0 ? totalCost / totalQuantity : costPrice,
+                date: new Date().toISOString(),
+                reference: 'Switched to weighted average'
+            }];
+        }
+
+        refreshCostPrice(product);
+        products[productIndex] = product;
+
+        if (quantity !== product.quantity) {
+            changeStock(product, quantity - product.quantity, 'adjustment', 'Product edited');
+        }
+
+        editingProductId = null; // Reset editing state
+    } else {
+        // Add new product, starting from 0 so the opening stock is in the ledger
+        const newProduct = {
+            id: generateId(),
+            name,
+            quantity: 0,
+            costPrice,
+            sellPrice,
+            costingMethod,
+            taxRateId,
+            sku,
+            category,
+            costLayers: []
+        };
+        products.push(newProduct);
+        changeStock(newProduct, quantity, 'adjustment', 'Opening stock', costPrice);
+    }
+
+    saveStock();                   // Save to storage
+    renderProducts();              // Refresh table
+    renderDashboard();             // Low stock may have changed
+    renderTaxRates();              // Product counts per rate
+    productForm.reset();           // Reset form
+});
+
+productCategoryFilter.addEventListener('change', renderProducts);
+
+// ----- TABLE BUTTONS (DELETE, EDIT, RESTOCK) -----
+productTableBody.addEventListener('click', async function (e) {
+    const id = e.target.dataset.id;
+    const productIndex = products.findIndex(p => p.id === id);
+    if (productIndex === -1) return; // Safety check
+
+    // DELETE
+    if (e.target.classList.contains('delete-btn')) {
+        if (!(await requireOwner('delete a product'))) return;
+        if (confirm("Are you sure you want to delete this product?")) {
+            products.splice(productIndex, 1);
+            setData('products', products);
+            renderProducts();
+            renderDashboard();
+        }
+    }
+
+    // EDIT
+    if (e.target.classList.contains('edit-btn')) {
+        const product = products[productIndex];
+        document.getElementById('productName').value = product.name;
+        document.getElementById('productQuantity').value = product.quantity;
+        document.getElementById('productCostPrice').value = product.costPrice;
+        document.getElementById('productSellPrice').value = product.sellPrice;
+        document.getElementById('productCostingMethod').value = product.costingMethod || 'fifo';
+        productTaxRateSelect.value = product.taxRateId || '';
+        document.getElementById('productSku').value = product.sku || '';
+        document.getElementById('productCategory').value = product.category || '';
+        editingProductId = id; // Track editing
+    }
+
+    // STOCK CARD
+    if (e.target.classList.contains('stock-card-btn')) {
+        stockCardProductId = id;
+        renderStockCard();
+    }
+
+    // RESTOCK
+    if (e.target.classList.contains('restock-btn')) {
+        const product = products[productIndex];
+        const amount = parseInt(prompt("Enter quantity to add:"));
+        if (!isNaN(amount) && amount > 0) {
+            // Each batch keeps its own cost
+            const unitCost = parseFloat(prompt("Unit cost for this batch:", product.costPrice));
+            if (isNaN(unitCost) || unitCost < 0) {
+                alert("Invalid unit cost.");
+                return;
+            }
+
+            changeStock(product, amount, 'restock', 'Restock', unitCost);
+            saveStock();
+            renderProducts();
+            renderDashboard();
+        }
+    }
+});
+
+// ----- STOCK CARD (movement history of one product) -----
+const stockCard = document.getElementById('stockCard');
+const stockCardProductEl = document.getElementById('stockCardProduct');
+const stockCardTableBody = document.querySelector('#stockCardTable tbody');
+
+function renderStockCard() {
+
+    if (!stockCard) return;
+
+    const product = products.find(p => p.id === stockCardProductId);
+
+    if (!product) {
+        stockCard.classList.add('hidden');
+        return;
+    }
+
+    stockCard.classList.remove('hidden');
+    stockCardProductEl.textContent = `${product.name} (in stock: ${product.quantity})`;
+    stockCardTableBody.innerHTML = '';
+
+    const movements = stockMovements.filter(m => m.productId === product.id);
+
+    if (movements.length === 0) {
+        stockCardTableBody.innerHTML = `
+            <tr>
+                <td colspan="6">No stock movements recorded.</td>
+            </tr>
+        `;
+        return;
+    }
+
+    movements.forEach(movement => {
+
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${formatDate(movement.date)}</td>
+            <td>${movement.type}</td>
+            <td>${movement.delta > 0 ? '+' : ''}${movement.delta}</td>
+            <td>${movement.balance}</td>
+            <td>${typeof movement.unitCost === 'number' ? movement.unitCost.toFixed(2) : '-'}</td>
+            <td>${movement.reference || '-'}</td>
+        `;
+
+        stockCardTableBody.appendChild(tr);
+    });
+}
+
+
+// ===============================
+// STOCKTAKE MODULE
+// ===============================
+
+/*
+ * A stocktake (physical count) is saved in "stocktakes":
+ * {
+ *   id, startedDate, postedDate, status: 'open' | 'posted',
+ *   lines: [{ productId, productName, systemQuantity, countedQuantity, costPrice }]
+ * }
+ * Only products that were actually counted get a line.
+ * systemQuantity is the stock on the system at the moment the count was entered,
+ * so sales made while the count is going on don't show up as shrinkage.
+ * Posted sessions are kept as the shrinkage report.
+ */
+
+// ----- DOM ELEMENTS -----
+const startStocktakeBtn = document.getElementById('startStocktakeBtn');
+const stocktakeSession = document.getElementById('stocktakeSession');
+const stocktakeTitle = document.getElementById('stocktakeTitle');
+const stocktakeTableBody = document.querySelector('#stocktakeTable tbody');
+const stocktakeSummary = document.getElementById('stocktakeSummary');
+const stocktakeActions = document.getElementById('stocktakeActions');
+const postStocktakeBtn = document.getElementById('postStocktakeBtn');
+const cancelStocktakeBtn = document.getElementById('cancelStocktakeBtn');
+const closeStocktakeReportBtn = document.getElementById('closeStocktakeReportBtn');
+const stocktakeHistoryBody = document.querySelector('#stocktakeHistoryTable tbody');
+
+// ----- STATE -----
+let stocktakes = [];             // Filled from storage in startApp()
+let viewingStocktakeId = null;   // Posted session being looked at (read only)
+
+
+function getOpenStocktake() {
+    return stocktakes.find(session => session.status === 'open');
+}
+
+function getLineVariance(line) {
+    return line.countedQuantity - line.systemQuantity;
+}
+
+/*
+ * summarizeStocktake(session)
+ * Shortage (missing stock) and overage (extra stock), valued at cost price.
+ */
+function summarizeStocktake(session) {
+
+    let shortageValue = 0;
+    let overageValue = 0;
+
+    session.lines.forEach(line => {
+        const value = getLineVariance(line) * line.costPrice;
+        if (value < 0) shortageValue += -value;
+        if (value > 0) overageValue += value;
+    });
+
+    return {
+        counted: session.lines.length,
+        shortageValue,
+        overageValue,
+        netValue: overageValue - shortageValue
+    };
+}
+
+
+// ===============================
+// START / CANCEL / POST
+// ===============================
+
+startStocktakeBtn.addEventListener('click', function () {
+
+    if (getOpenStocktake()) return;
+
+    stocktakes.push({
+        id: generateId(),
+        startedDate: new Date().toISOString(),
+        postedDate: null,
+        status: 'open',
+        lines: []
+    });
+
+    viewingStocktakeId = null;
+    setData('stocktakes', stocktakes);
+    renderStocktake();
+});
+
+cancelStocktakeBtn.addEventListener('click', function () {
+
+    const session = getOpenStocktake();
+    if (!session) return;
+
+    if (!confirm("Discard this stocktake? Counts entered so far will be lost.")) return;
+
+    stocktakes = stocktakes.filter(s => s.id !== session.id);
+    setData('stocktakes', stocktakes);
+    renderStocktake();
+});
+
+postStocktakeBtn.addEventListener('click', function () {
+
+    const session = getOpenStocktake();
+    if (!session) return;
+
+    const changedLines = session.lines.filter(line => getLineVariance(line) !== 0);
+
+    if (!confirm(`Post ${changedLines.length} stock adjustment(s)? This can't be undone.`)) return;
+
+    // Apply each variance as a change, so sales made since counting are kept
+    changedLines.forEach(line => {
+        const product = products.find(p => p.id === line.productId);
+        if (product) {
+            changeStock(product, getLineVariance(line), 'adjustment', `Stocktake ${session.id}`);
+        }
+    });
+
+    session.status = 'posted';
+    session.postedDate = new Date().toISOString();
+
+    saveStock({ stocktakes });
+
+    renderProducts();
+    renderDashboard();
+    renderStocktake();
+
+    alert("Stocktake posted.");
+});
+
+closeStocktakeReportBtn.addEventListener('click', function () {
+    viewingStocktakeId = null;
+    renderStocktake();
+});
+
+
+// ===============================
+// ENTER COUNTS
+// ===============================
+
+stocktakeTableBody.addEventListener('change', function (e) {
+
+    if (!e.target.classList.contains('count-input')) return;
+
+    const session = getOpenStocktake();
+    const product = products.find(p => p.id === e.target.dataset.id);
+    if (!session || !product) return;
+
+    const value = e.target.value.trim();
+    const index = session.lines.findIndex(line => line.productId === product.id);
+
+    // Blank = not counted
+    if (value === '') {
+        if (index !== -1) session.lines.splice(index, 1);
+    } else {
+        const countedQuantity = parseInt(value);
+
+        if (isNaN(countedQuantity) || countedQuantity < 0) {
+            alert("Please enter a valid count.");
+            e.target.value = '';
+            return;
+        }
+
+        const line = {
+            productId: product.id,
+            productName: product.name,
+            systemQuantity: product.quantity,
+            countedQuantity,
+            costPrice: product.costPrice
+        };
+
+        if (index === -1) session.lines.push(line);
+        else session.lines[index] = line;
+    }
+
+    setData('stocktakes', stocktakes);
+    renderStocktake();
+});
+
+stocktakeHistoryBody.addEventListener('click', function (e) {
+    if (!e.target.classList.contains('view-stocktake-btn')) return;
+
+    viewingStocktakeId = e.target.dataset.id;
+    renderStocktake();
+});
+
+
+// ===============================
+// RENDER STOCKTAKE
+// ===============================
+
+function renderStocktake() {
+
+    const openSession = getOpenStocktake();
+    const viewedSession = stocktakes.find(s => s.id === viewingStocktakeId);
+    const session = viewedSession || openSession;
+
+    startStocktakeBtn.classList.toggle('hidden', Boolean(openSession));
+    stocktakeSession.classList.toggle('hidden', !session);
+
+    renderStocktakeHistory();
+
+    if (!session) return;
+
+    const isOpen = session.status === 'open';
+
+    stocktakeTitle.textContent = isOpen
+        ? `Count in progress (started ${formatDate(session.startedDate)})`
+        : `Shrinkage report (posted ${formatDate(session.postedDate)})`;
+
+    stocktakeActions.classList.toggle('hidden', !isOpen);
+    closeStocktakeReportBtn.classList.toggle('hidden', isOpen);
+
+    stocktakeTableBody.innerHTML = '';
+
+    // Open session: every product can be counted. Posted: only what was counted.
+    const rows = isOpen
+        ? products.map(product => ({
+            product,
+            line: session.lines.find(line => line.productId === product.id)
+        }))
+        : session.lines.map(line => ({ product: null, line }));
+
+    rows.forEach(({ product, line }) => {
+
+        const variance = line ? getLineVariance(line) : null;
+        const varianceClass = variance < 0 ? 'variance-short' : variance > 0 ? 'variance-over' : '';
+
+        const countCell = isOpen
+            ? `<input type="number" min="0" class="count-input" data-id="${product.id}"
+                   value="${line ? line.countedQuantity : ''}">`
+            : line.countedQuantity;
+
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${product ? product.name : line.productName}</td>
+            <td>${line ? line.systemQuantity : product.quantity}</td>
+            <td>${countCell}</td>
+            <td class="${varianceClass}">${line ? variance : '-'}</td>
+            <td class="${varianceClass}">${line ? (variance * line.costPrice).toFixed(2) : '-'}</td>
+        `;
+
+        stocktakeTableBody.appendChild(tr);
+    });
+
+    const summary = summarizeStocktake(session);
+
+    stocktakeSummary.innerHTML = `
+        <p><strong>Products counted:</strong> ${summary.counted}</p>
+        <p><strong>Shortage (at cost):</strong> ${summary.shortageValue.toFixed(2)}</p>
+        <p><strong>Overage (at cost):</strong> ${summary.overageValue.toFixed(2)}</p>
+        <p><strong>Net variance:</strong> ${summary.netValue.toFixed(2)}</p>
+    `;
+}
+
+function renderStocktakeHistory() {
+
+    stocktakeHistoryBody.innerHTML = '';
+
+    const posted = stocktakes.filter(s => s.status === 'posted');
+
+    if (posted.length === 0) {
+        stocktakeHistoryBody.innerHTML = `
+            <tr>
+                <td colspan="6">No stocktakes posted yet.</td>
+            </tr>
+        `;
+        return;
+    }
+
+    posted.forEach(session => {
+
+        const summary = summarizeStocktake(session);
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${formatDate(session.postedDate)}</td>
+            <td>${summary.counted}</td>
+            <td>${summary.shortageValue.toFixed(2)}</td>
+            <td>${summary.overageValue.toFixed(2)}</td>
+            <td>${summary.netValue.toFixed(2)}</td>
+            <td>
+                <button class="view-stocktake-btn" data-id="${session.id}">View</button>
+            </td>
+        `;
+
+        stocktakeHistoryBody.appendChild(tr);
+    });
+}
+
+
+
+// ===============================
+// TAX RATES MODULE
+// ===============================
+
+// ----- DOM ELEMENTS -----
+const taxRateForm = document.getElementById('taxRateForm');
+const taxRatesTableBody = document.querySelector('#taxRatesTable tbody');
+const taxPricingSelect = document.getElementById('taxPricing');
+const productTaxRateSelect = document.getElementById('productTaxRate');
+
+/*
+ * Tax rates are a shop setting: [{ id, name, rate }] where rate is a percentage (7.5 = 7.5%).
+ * Each product can point at one of them with product.taxRateId (null = no tax).
+ */
+function getTaxRates() {
+    return getSetting('taxRates', []);
+}
+
+// true = shelf prices already include tax, false = tax is added at checkout
+function pricesIncludeTax() {
+    return getSetting('pricesIncludeTax', true);
+}
+
+function getProductTaxRate(productId) {
+    const product = products.find(p => p.id === productId);
+    if (!product || !product.taxRateId) return null;
+
+    return getTaxRates().find(rate => rate.id === product.taxRateId) || null;
+}
+
+/*
+ * calculateTax(amount, rate, inclusive)
+ * Splits an amount into net, tax and gross.
+ * inclusive: amount already contains the tax (7.5% of 107.50 → 100 + 7.50)
+ * exclusive: tax goes on top (7.5% of 100 → 100 + 7.50 = 107.50)
+ */
+function calculateTax(amount, rate, inclusive) {
+
+    if (!rate) return { net: amount, tax: 0, gross: amount };
+
+    if (inclusive) {
+        const net = roundMoney(amount / (1 + rate / 100));
+        return { net, tax: roundMoney(amount - net), gross: amount };
+    }
+
+    const tax = roundMoney(amount * rate / 100);
+    return { net: amount, tax, gross: roundMoney(amount + tax) };
+}
+
+function formatTaxRate(taxRate) {
+    return `${taxRate.name} ${taxRate.rate}%`;
+}
+
+function renderTaxRates() {
+
+    const taxRates = getTaxRates();
+
+    taxRatesTableBody.innerHTML = taxRates.length === 0
+        ? '<tr><td colspan="4">No tax rates yet.</td></tr>'
+        : '';
+
+    taxRates.forEach(taxRate => {
+
+        const productCount = products.filter(p => p.taxRateId === taxRate.id).length;
+
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${taxRate.name}</td>
+            <td>${taxRate.rate}%</td>
+            <td>${productCount}</td>
+            <td>
+                <button type="button" class="delete-tax-rate-btn" data-id="${taxRate.id}">Delete</button>
+            </td>
+        `;
+        taxRatesTableBody.appendChild(tr);
+    });
+
+    taxPricingSelect.value = pricesIncludeTax() ? 'inclusive' : 'exclusive';
+
+    // Keep the product form's dropdown in step
+    const selected = productTaxRateSelect.value;
+    productTaxRateSelect.innerHTML = '<option value="">No tax</option>' + taxRates
+        .map(taxRate => `<option value="${taxRate.id}">${formatTaxRate(taxRate)}</option>`)
+        .join('');
+    productTaxRateSelect.value = taxRates.some(r => r.id === selected) ? selected : '';
+}
+
+taxRateForm.addEventListener('submit', function (e) {
+
+    e.preventDefault();
+
+    const name = document.getElementById('taxRateName').value.trim();
+    const rate = parseFloat(document.getElementById('taxRateValue').value);
+
+    if (name === '' || isNaN(rate) || rate <= 0 || rate > 100) {
+        alert("Please enter a name and a rate between 0 and 100.");
+        return;
+    }
+
+    const taxRates = getTaxRates();
+
+    if (taxRates.some(r => r.name.toLowerCase() === name.toLowerCase() && r.rate === rate)) {
+        alert("That tax rate already exists.");
+        return;
+    }
+
+    taxRates.push({ id: generateId(), name, rate });
+    setData('taxRates', taxRates);
+
+    taxRateForm.reset();
+    renderTaxRates();
+});
+
+taxRatesTableBody.addEventListener('click', async function (e) {
+
+    if (!e.target.classList.contains('delete-tax-rate-btn')) return;
+
+    const id = e.target.dataset.id;
+
+    // Past sales keep their own copy of the rate, but products must not point at a missing one
+    if (products.some(p => p.taxRateId === id)) {
+        alert("Some products still use this tax rate. Change them to another rate first.");
+        return;
+    }
+
+    if (!(await requireOwner('delete a tax rate'))) return;
+    if (!confirm("Delete this tax rate?")) return;
+
+    setData('taxRates', getTaxRates().filter(r => r.id !== id));
+    renderTaxRates();
+});
+
+taxPricingSelect.addEventListener('change', function () {
+    setData('pricesIncludeTax', this.value === 'inclusive');
+    renderCart();
+});
+
+
+// ===============================
+// SALES MODULE
+// ===============================
+
+// ----- DOM ELEMENTS -----
+const saleForm = document.getElementById('saleForm');
+const productSearch = document.getElementById('productSearch');
+const selectedProductInfo = document.getElementById('selectedProductInfo');
+const searchResults = document.getElementById('searchResults');
+const salesTableBody = document.querySelector('#salesTable tbody');
+
+const addToCartBtn = document.getElementById('addToCartBtn');
+const cartTableBody = document.querySelector('#cartTable tbody');
+const cartTotalEl = document.getElementById('cartTotal');
+const cartSubtotalEl = document.getElementById('cartSubtotal');
+const cartDiscountEl = document.getElementById('cartDiscount');
+const cartTaxEl = document.getElementById('cartTax');
+const lineDiscountTypeSelect = document.getElementById('lineDiscountType');
+const lineDiscountValueInput = document.getElementById('lineDiscountValue');
+const saleDiscountTypeSelect = document.getElementById('saleDiscountType');
+const saleDiscountValueInput = document.getElementById('saleDiscountValue');
+
+const paymentTypeSelect = document.getElementById('paymentType');
+const customerField = document.getElementById('customerField');
+const customerNameInput = document.getElementById('customerName');
+const cancelSaleEditBtn = document.getElementById('cancelSaleEditBtn');
+
+// ----- STATE -----
+let sales = [];
+let selectedProduct = null;
+let editingSaleId = null; // sale loaded into the cart for editing (it stays saved until the edit is completed)
+let editingReceiptNumber = null; // an edited sale keeps its receipt number
+let editingSaleStaff = null;      // ...and the staff member who made it
+let returns = [];         // Filled from storage in startApp()
+let returningSale = null; // sale whose return form is open
+let cart = [];            // line items of the sale being built
+
+
+/*
+ * getSaleItems(sale)
+ * Returns the line items of a sale.
+ * Older sales were saved with one product per record (productId, quantity, salePrice...),
+ * so those are converted into a single-item list on the fly.
+ */
+function getSaleItems(sale) {
+    if (Array.isArray(sale.items)) return sale.items;
+
+    return [{
+        productId: sale.productId,
+        productName: sale.productName,
+        quantity: sale.quantity,
+        salePrice: sale.salePrice,
+        costPrice: sale.costPrice,
+        total: sale.total
+    }];
+}
+
+/*
+ * getNetUnitPrice(item)
+ * What one unit of a sale line really sold for, after every discount.
+ */
+function getNetUnitPrice(item) {
+    return item.quantity ? item.total / item.quantity : 0;
+}
+
+
+// ===============================
+// PRODUCT SEARCH DROPDOWN
+// ===============================
+
+/*
+ * selectProduct(product, keepSearchText)
+ * Fills the price and stock details for the chosen product.
+ * keepSearchText leaves a typed code in the box, so a scanner that is
+ * still typing (123 → 1234) is not interrupted.
+ */
+function selectProduct(product, keepSearchText) {
+
+    selectedProduct = product;
+    if (!keepSearchText) productSearch.value = product.name;
+
+    selectedProductInfo.innerHTML = `
+        <p><strong>Stock:</strong> ${product.quantity}</p>
+        <p><strong>Cost Price:</strong> ${product.costPrice}</p>
+        <p><strong>Default Sell Price:</strong> ${product.sellPrice}</p>
+    `;
+
+    document.getElementById('salePrice').value = product.sellPrice;
+    searchResults.style.display = 'none';
+}
+
+productSearch.addEventListener('input', function () {
+
+    const searchValue = this.value.toLowerCase().trim();
+    searchResults.innerHTML = '';
+
+    if (searchValue === '') {
+        searchResults.style.display = 'none';
+        return;
+    }
+
+    // An exact SKU/barcode picks the product straight away
+    const codeMatch = findProductByCode(searchValue);
+    if (codeMatch) {
+        selectProduct(codeMatch, true);
+        return;
+    }
+
+    const filteredProducts = products.filter(product =>
+        matchesCategory(product, saleCategoryFilter.value) && (
+            product.name.toLowerCase().includes(searchValue) ||
+            (product.sku && product.sku.toLowerCase().includes(searchValue))
+        )
+    );
+
+    if (filteredProducts.length === 0) {
+        searchResults.style.display = 'none';
+        return;
+    }
+
+    filteredProducts.forEach(product => {
+
+        const div = document.createElement('div');
+        div.classList.add('search-item');
+        div.textContent = product.name;
+
+        div.addEventListener('click', function () {
+            selectProduct(product);
+        });
+
+        searchResults.appendChild(div);
+    });
+
+    searchResults.style.display = 'block';
+});
+
+
+// ===============================
+// CART (ADD / REMOVE ITEMS)
+// ===============================
+
+/*
+ * getCartQuantity(productId)
+ * Total quantity of one product already in the cart.
+ * Used so stock checks cover every line, not just the one being added.
+ */
+function getCartQuantity(productId) {
+    return cart
+        .filter(item => item.productId === productId)
+        .reduce((sum, item) => sum + item.quantity, 0);
+}
+
+/*
+ * getAvailableStock(product)
+ * Units that can go into the cart. While a sale is being edited, the units
+ * it already took are still counted as sold, so they are added back here.
+ */
+function getAvailableStock(product) {
+
+    const editingSale = sales.find(sale => sale.id === editingSaleId);
+    if (!editingSale) return product.quantity;
+
+    return product.quantity + getSaleItems(editingSale)
+        .filter(item => item.productId === product.id)
+        .reduce((sum, item) => sum + item.quantity, 0);
+}
+
+// Round to kobo/cents so discounts don't leave 33.333333 totals behind
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/*
+ * calculateDiscount(amount, type, value)
+ * How much comes off amount: type 'percent' (value = 10 → 10%) or 'fixed' (value = naira off).
+ */
+function calculateDiscount(amount, type, value) {
+    if (!type || !(value > 0)) return 0;
+
+    const discount = type === 'percent' ? amount * value / 100 : value;
+    return roundMoney(Math.min(discount, amount));
+}
+
+/*
+ * checkDiscount(type, value, amount)
+ * Returns an error message, or '' when the discount is fine.
+ */
+function checkDiscount(type, value, amount) {
+    if (!type) return '';
+    if (isNaN(value) || value < 0) return "Please enter a valid discount.";
+    if (type === 'percent' && value > 100) return "A percentage discount cannot be more than 100%.";
+    if (type === 'fixed' && value > amount) return "The discount cannot be more than the amount it is taken from.";
+    return '';
+}
+
+// Line totals after line discounts, before the whole-sale discount
+function getCartSubtotal() {
+    return cart.reduce((sum, item) => sum + item.total, 0);
+}
+
+function getSaleDiscount() {
+    return calculateDiscount(getCartSubtotal(), saleDiscountTypeSelect.value, parseFloat(saleDiscountValueInput.value));
+}
+
+/*
+ * getSaleDiscountShares()
+ * Spreads the whole-sale discount over the cart lines by value, so every line
+ * (and any later return of it) carries its real selling price.
+ */
+function getSaleDiscountShares() {
+
+    const subtotal = getCartSubtotal();
+    const saleDiscount = getSaleDiscount();
+    let discountLeft = saleDiscount;
+
+    return cart.map((item, index) => {
+        const share = index === cart.length - 1
+            ? discountLeft
+            : roundMoney(subtotal ? saleDiscount * item.total / subtotal : 0);
+        discountLeft = roundMoney(discountLeft - share);
+        return share;
+    });
+}
+
+/*
+ * getCartTaxes()
+ * Net / tax / gross for every cart line, after all discounts,
+ * using each product's tax rate and the shop's pricing setting.
+ */
+function getCartTaxes() {
+
+    const shares = getSaleDiscountShares();
+    const inclusive = pricesIncludeTax();
+
+    return cart.map((item, index) => {
+        const taxRate = getProductTaxRate(item.productId);
+        return {
+            taxRate,
+            ...calculateTax(roundMoney(item.total - shares[index]), taxRate ? taxRate.rate : 0, inclusive)
+        };
+    });
+}
+
+// What the customer pays: after discounts, plus tax when prices exclude it
+function getCartTotal() {
+    return roundMoney(getCartTaxes().reduce((sum, line) => sum + line.gross, 0));
+}
+
+/*
+ * askBelowCostReason(description)
+ * Selling at or below cost needs a reason (clearance, damaged packaging...).
+ * Returns the reason, or null when the cashier cancels.
+ */
+function askBelowCostReason(description) {
+
+    const reason = prompt(
+        `${description}\n\n` +
+        `This is at or below cost price. Enter the reason for allowing it (e.g. clearance sale), or Cancel:`
+    );
+
+    if (reason === null) return null;
+
+    if (reason.trim() === '') {
+        alert("A reason is required to sell at or below cost price.");
+        return null;
+    }
+
+    return reason.trim();
+}
+
+// Changing the category re-runs the current search
+saleCategoryFilter.addEventListener('change', function () {
+    productSearch.dispatchEvent(new Event('input'));
+});
+
+/*
+ * Barcode scanners type the code and then press Enter.
+ * Enter on an exact SKU/barcode adds one unit straight to the cart;
+ * Enter on an exact product name just selects it.
+ * (Enter must never submit the whole sale from the search box.)
+ */
+productSearch.addEventListener('keydown', function (e) {
+
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+
+    const value = this.value.trim();
+    const scanned = findProductByCode(value);
+
+    if (scanned) {
+        selectProduct(scanned);
+        document.getElementById('saleQuantity').value = 1;
+        addSelectedProductToCart();
+        return;
+    }
+
+    const named = products.find(p => p.name.toLowerCase() === value.toLowerCase());
+
+    if (named) {
+        selectProduct(named);
+        document.getElementById('saleQuantity').focus();
+    } else if (value !== '') {
+        alert(`No product found for "${value}".`);
+    }
+});
+
+addToCartBtn.addEventListener('click', addSelectedProductToCart);
+
+/*
+ * addSelectedProductToCart()
+ * Adds the selected product with the price, quantity and discount typed in the form.
+ */
+function addSelectedProductToCart() {
+
+    if (!selectedProduct) {
+        alert("Please select a valid product.");
+        return;
+    }
+
+    const salePrice = parseFloat(document.getElementById('salePrice').value);
+    const quantity = parseInt(document.getElementById('saleQuantity').value);
+    const discountType = lineDiscountTypeSelect.value;
+    const discountValue = parseFloat(lineDiscountValueInput.value) || 0;
+
+    if (isNaN(salePrice) || salePrice < 0 || isNaN(quantity) || quantity <= 0) {
+        alert("Please enter a valid price and quantity.");
+        return;
+    }
+
+    if (getCartQuantity(selectedProduct.id) + quantity > getAvailableStock(selectedProduct)) {
+        alert("Not enough stock available.");
+        return;
+    }
+
+    const lineAmount = salePrice * quantity;
+    const discountError = checkDiscount(discountType, discountValue, lineAmount);
+
+    if (discountError) {
+        alert(discountError);
+        return;
+    }
+
+    const discount = calculateDiscount(lineAmount, discountType, discountValue);
+    const total = roundMoney(lineAmount - discount);
+
+    // Below-cost selling is allowed, but only with a reason on record
+    let belowCostReason = null;
+
+    if (total / quantity <= selectedProduct.costPrice) {
+        belowCostReason = askBelowCostReason(
+            `${selectedProduct.name} would sell at ${(total / quantity).toFixed(2)} each ` +
+            `(cost price ${selectedProduct.costPrice}).`
+        );
+        if (!belowCostReason) return;
+    }
+
+    // Same product at the same price (and no discounts) → just increase that line
+    const existingItem = !discount && !belowCostReason && cart.find(item =>
+        item.productId === selectedProduct.id && item.originalPrice === salePrice &&
+        !item.discount && !item.belowCostReason
+    );
+
+    if (existingItem) {
+        existingItem.quantity += quantity;
+        existingItem.total = existingItem.salePrice * existingItem.quantity;
+    } else {
+        const item = {
+            productId: selectedProduct.id,
+            productName: selectedProduct.name,
+            quantity,
+            originalPrice: salePrice,
+            discountType: discount ? discountType : null,
+            discountValue: discount ? discountValue : 0,
+            discount,
+            salePrice: roundMoney(total / quantity),
+            costPrice: selectedProduct.costPrice,
+            total
+        };
+
+        if (belowCostReason) item.belowCostReason = belowCostReason;
+
+        cart.push(item);
+    }
+
+    // Clear the product fields so the next item can be searched
+    productSearch.value = '';
+    document.getElementById('salePrice').value = '';
+    document.getElementById('saleQuantity').value = '';
+    lineDiscountTypeSelect.value = '';
+    lineDiscountValueInput.value = '';
+    selectedProductInfo.innerHTML = '';
+    selectedProduct = null;
+
+    renderCart();
+
+    // Ready for the next scan
+    productSearch.focus();
+}
+
+cartTableBody.addEventListener('click', function (e) {
+
+    if (!e.target.classList.contains('remove-cart-btn')) return;
+
+    const index = parseInt(e.target.dataset.index);
+    cart.splice(index, 1);
+    renderCart();
+});
+
+function renderCart() {
+
+    cartTableBody.innerHTML = '';
+
+    cart.forEach((item, index) => {
+
+        const tr = document.createElement('tr');
+
+        const discountText = item.discount
+            ? `-${item.discount.toFixed(2)}` + (item.discountType === 'percent' ? ` (${item.discountValue}%)` : '')
+            : '-';
+
+        tr.innerHTML = `
+            <td>${item.productName}${item.belowCostReason ? ' <small>(below cost)</small>' : ''}</td>
+            <td>${item.quantity}</td>
+            <td>${item.originalPrice}</td>
+            <td>${discountText}</td>
+            <td>${item.total.toFixed(2)}</td>
+            <td>
+                <button type="button" class="remove-cart-btn" data-index="${index}">Remove</button>
+            </td>
+        `;
+
+        cartTableBody.appendChild(tr);
+    });
+
+    const saleDiscount = getSaleDiscount();
+    const cartTax = getCartTaxes().reduce((sum, line) => sum + line.tax, 0);
+
+    cartSubtotalEl.textContent = getCartSubtotal().toFixed(2);
+    cartDiscountEl.textContent = saleDiscount.toFixed(2);
+    cartTaxEl.textContent = cartTax.toFixed(2) + (pricesIncludeTax() ? ' (included)' : '');
+    cartTotalEl.textContent = getCartTotal().toFixed(2);
+}
+
+saleDiscountTypeSelect.addEventListener('change', renderCart);
+saleDiscountValueInput.addEventListener('input', renderCart);
+
+/*
+ * restoreCartItem(item)
+ * Turns a saved sale line back into a cart line (used when editing a sale):
+ * the share of the whole-sale discount and the tax are taken off again,
+ * because they are re-calculated when the sale is completed.
+ */
+function restoreCartItem(item) {
+
+    const originalPrice = item.originalPrice !== undefined ? item.originalPrice : item.salePrice;
+    const discount = item.discount || 0;
+    const total = roundMoney(originalPrice * item.quantity - discount);
+
+    const cartItem = {
+        ...item,
+        originalPrice,
+        discount,
+        total,
+        salePrice: roundMoney(total / item.quantity)
+    };
+
+    // Discount share and tax are worked out again when the sale is completed
+    ['saleDiscount', 'taxName', 'taxRate', 'netAmount', 'taxAmount'].forEach(field => {
+        delete cartItem[field];
+    });
+    return cartItem;
+}
+
+
+// ===============================
+// SALE SUBMISSION (ADD / EDIT)
+// ===============================
+
+saleForm.addEventListener('submit', async function (e) {
+
+    e.preventDefault();
+
+    if (cart.length === 0) {
+        alert("Please add at least one product to the cart.");
+        return;
+    }
+
+    // Another tab may have deleted the sale being edited, or taken a payment on it
+    const editBlocker = editingSaleId && getSaleEditBlocker(sales.find(sale => sale.id === editingSaleId));
+
+    if (editBlocker) {
+        alert(`${editBlocker}\n\nThe edit has been cancelled.`);
+        clearSaleForm();
+        return;
+    }
+
+    const paymentType = paymentTypeSelect.value;
+    const customerName = customerNameInput.value.trim();
+
+    // Stock check for the whole cart (products can appear on more than one line)
+    const shortItem = cart.find(item => {
+        const product = products.find(p => p.id === item.productId);
+        return !product || getCartQuantity(item.productId) > getAvailableStock(product);
+    });
+
+    if (shortItem) {
+        alert(`Not enough stock available for ${shortItem.productName}.`);
+        return;
+    }
+
+    if (paymentType === 'credit' && customerName === '') {
+        alert("Customer name is required for credit sales.");
+        return;
+    }
+
+    const subtotal = getCartSubtotal();
+    const saleDiscountType = saleDiscountTypeSelect.value;
+    const saleDiscountValue = parseFloat(saleDiscountValueInput.value) || 0;
+    const saleDiscountError = checkDiscount(saleDiscountType, saleDiscountValue, subtotal);
+
+    if (saleDiscountError) {
+        alert(saleDiscountError);
+        return;
+    }
+
+    const saleDiscount = getSaleDiscount();
+    const saleDiscountShares = getSaleDiscountShares();
+    const lineTaxes = getCartTaxes();
+    const total = getCartTotal();
+
+    const newlyBelowCost = cart.filter((item, index) =>
+        !item.belowCostReason &&
+        (item.total - saleDiscountShares[index]) / item.quantity <= item.costPrice
+    );
+
+    let saleBelowCostReason = null;
+
+    if (newlyBelowCost.length) {
+        saleBelowCostReason = askBelowCostReason(
+            `With the sale discount, ${newlyBelowCost.map(item => item.productName).join(', ')} ` +
+            `would sell at or below cost.`
+        );
+        if (!saleBelowCostReason) return;
+    }
+
+    // The sale being edited (still saved as it was until this one replaces it)
+    const editedIndex = sales.findIndex(sale => sale.id === editingSaleId);
+    const editedSale = editedIndex === -1 ? null : sales[editedIndex];
+
+    // Credit sales belong to a customer record, and must respect their credit limit
+    let customer = null;
+    let creditLimitOverride = false;
+
+    if (paymentType === 'credit') {
+
+        customer = findOrCreateCustomer(customerName);
+        if (!customer) return; // cancelled
+
+        // An edited sale's old balance is replaced, not added to
+        const replacedBalance = editedSale && editedSale.paymentType === 'credit' && editedSale.customerId === customer.id
+            ? editedSale.remainingBalance || 0
+            : 0;
+
+        const newBalance = getCustomerBalance(customer.id) - replacedBalance + total;
+
+        if (customer.creditLimit !== null && newBalance > customer.creditLimit) {
+
+            const override = confirm(
+                `This sale brings ${customer.name}'s balance to ${newBalance.toFixed(2)}, ` +
+                `above their credit limit of ${customer.creditLimit.toFixed(2)}.\n\n` +
+                `Press OK to override the limit, or Cancel to stop.`
+            );
+
+            if (!override || !(await requireOwner(`go over ${customer.name}'s credit limit`))) return;
+            creditLimitOverride = true;
+        }
+    }
+
+    const saleId = editingSaleId || '_' + Date.now();
+    const receiptNumber = editingReceiptNumber || getNextReceiptNumber();
+
+    // Each line keeps its discount share and its own copy of the tax rate used
+    cart.forEach((item, index) => {
+        const lineTax = lineTaxes[index];
+
+        if (newlyBelowCost.includes(item)) item.belowCostReason = saleBelowCostReason;
+
+        item.saleDiscount = saleDiscountShares[index];
+        item.taxName = lineTax.taxRate ? lineTax.taxRate.name : null;
+        item.taxRate = lineTax.taxRate ? lineTax.taxRate.rate : 0;
+        item.netAmount = lineTax.net;
+        item.taxAmount = lineTax.tax;
+        item.total = lineTax.gross;
+        item.salePrice = roundMoney(item.total / item.quantity);
+    });
+
+    // Editing: the old sale's stock goes back first, then the new lines take theirs
+    if (editedSale) {
+        getSaleItems(editedSale).forEach(item => {
+            const product = products.find(p => p.id === item.productId);
+            if (product) changeStock(product, item.quantity, 'sale-reversal', `Sale ${editedSale.id} edited`, item.costPrice);
+        });
+    }
+
+    // Deduct stock for every line, and record what those units actually cost
+    cart.forEach(item => {
+        const product = products.find(p => p.id === item.productId);
+        const movement = changeStock(product, -item.quantity, 'sale', `Sale ${saleId}`);
+
+        item.costPrice = movement.unitCost;
+        item.totalCost = movement.unitCost * item.quantity;
+    });
+
+    let paidAmount = paymentType === "credit" ? 0 : total;
+    let remainingBalance = paymentType === "credit" ? total : 0;
+    let status = paymentType === "credit" ? "Unpaid" : "Paid";
+
+    const sale = {
+        id: saleId,
+        receiptNumber,
+        items: cart,
+        grossTotal: roundMoney(cart.reduce((sum, item) => sum + item.originalPrice * item.quantity, 0)),
+        saleDiscountType: saleDiscount ? saleDiscountType : null,
+        saleDiscountValue: saleDiscount ? saleDiscountValue : 0,
+        saleDiscount,
+        discountTotal: roundMoney(cart.reduce((sum, item) => sum + (item.discount || 0), 0) + saleDiscount),
+        taxInclusive: pricesIncludeTax(),
+        netTotal: roundMoney(cart.reduce((sum, item) => sum + item.netAmount, 0)),
+        taxTotal: roundMoney(cart.reduce((sum, item) => sum + item.taxAmount, 0)),
+        total,
+        paymentType,
+        customerId: customer ? customer.id : null,
+        customerName: customer ? customer.name : null,
+        paidAmount,
+        remainingBalance,
+        status,
+        // An edited sale stays on the day it was made (reports, shifts, receipt history)
+        date: editedSale ? editedSale.date : new Date().toISOString(),
+        // An edited sale still belongs to whoever rang it up
+        ...(editingSaleStaff || getStaffStamp())
+    };
+
+    if (creditLimitOverride) sale.creditLimitOverride = true;
+
+    // An edited sale replaces the old record in the same place
+    if (editedSale) sales.splice(editedIndex, 1, sale);
+    else sales.push(sale);
+
+    // The stock it took, the sale itself and the used-up receipt number are saved together
+    saveStock(editedSale ? { sales } : { sales, nextReceiptNumber: receiptNumber + 1 });
+
+    clearSaleForm();
+    renderProducts();
+    renderSales();
+    renderReports();
+    renderCredit();
+    renderDashboard();
+    renderCustomers();
+
+    alert(`Sale completed successfully! Receipt ${formatReceiptNumber(sale.receiptNumber)}`);
+
+    // Straight to the receipt so it can be printed for the customer
+    showReceipt(sale);
+});
+
+
+/*
+ * clearSaleForm()
+ * Empties the cart and the form, and ends any sale edit.
+ */
+function clearSaleForm() {
+
+    editingSaleId = null;
+    editingReceiptNumber = null;
+    editingSaleStaff = null;
+
+    saleForm.reset();
+    selectedProductInfo.innerHTML = '';
+    selectedProduct = null;
+    cart = [];
+    customerField.classList.add('hidden');
+    cancelSaleEditBtn.classList.add('hidden');
+
+    renderCart();
+}
+
+cancelSaleEditBtn.addEventListener('click', function () {
+
+    if (!confirm("Cancel this edit? The sale stays as it was.")) return;
+
+    clearSaleForm();
+});
+
+
+// ===============================
+// DELETE & EDIT SALES
+// ===============================
+
+// Once goods have come back, the sale is part of the books and must stay as it is
+function saleHasReturns(sale) {
+    return returns.some(r => r.saleId === sale.id);
+}
+
+// Same for money already collected on it: reverse the payment first
+function saleHasPayments(sale) {
+    return payments.some(payment =>
+        !payment.reversed && payment.allocations.some(allocation => allocation.saleId === sale.id)
+    );
+}
+
+// Why a sale cannot be edited (null = it can)
+function getSaleEditBlocker(sale) {
+
+    if (!sale) return "This sale has been deleted (perhaps in another tab).";
+
+    if (saleHasReturns(sale)) return "This sale has returns recorded against it, so it cannot be edited.";
+
+    if (saleHasPayments(sale)) {
+        return "Payments have been recorded against this sale, so it cannot be edited.\n\nReverse those payments in the Credit section first.";
+    }
+
+    return null;
+}
+
+salesTableBody.addEventListener('click', async function (e) {
+
+    const id = e.target.dataset.id;
+    const saleIndex = sales.findIndex(s => s.id === id);
+    if (saleIndex === -1) return;
+
+    const sale = sales[saleIndex];
+
+    // RECEIPT
+    if (e.target.classList.contains('receipt-sale-btn')) {
+        showReceipt(sale);
+        return;
+    }
+
+    // The sale in the cart is only changed by completing or cancelling the edit
+    const beingEdited = sale.id === editingSaleId &&
+        (e.target.classList.contains('return-sale-btn') || e.target.classList.contains('delete-sale-btn'));
+
+    if (beingEdited) {
+        alert("This sale is being edited. Complete or cancel the edit first.");
+        return;
+    }
+
+    // RETURN
+    if (e.target.classList.contains('return-sale-btn')) {
+        openReturnForm(sale);
+        return;
+    }
+
+    // DELETE
+    if (e.target.classList.contains('delete-sale-btn')) {
+
+        if (saleHasReturns(sale)) {
+            alert("This sale has returns recorded against it, so it cannot be deleted.");
+            return;
+        }
+
+        if (saleHasPayments(sale)) {
+            alert("Payments have been recorded against this sale, so it cannot be deleted.\n\nReverse those payments in the Credit section first.");
+            return;
+        }
+
+        if (!(await requireOwner('delete a sale'))) return;
+
+        if (!confirm("Delete this sale? Stock will be restored.\n\nTo take goods back from a customer, use Return instead.")) return;
+
+        // Restore stock for every item
+        getSaleItems(sale).forEach(item => {
+            const product = products.find(p => p.id === item.productId);
+            if (product) changeStock(product, item.quantity, 'sale-reversal', `Sale ${sale.id} deleted`, item.costPrice);
+        });
+
+        sales.splice(saleIndex, 1);
+        saveStock({ sales });
+
+        renderProducts();
+        renderSales();
+        renderReports();
+        renderCredit();
+        renderDashboard();
+        renderCustomers();
+    }
+
+    // EDIT
+    if (e.target.classList.contains('edit-sale-btn')) {
+
+        // Loading the sale would throw away what is in the cart
+        if (editingSaleId || cart.length) {
+            alert("There is already a sale in the cart. Complete it, or cancel the edit / remove its items, before editing another sale.");
+            return;
+        }
+
+        const blocker = getSaleEditBlocker(sale);
+
+        if (blocker) {
+            alert(blocker);
+            return;
+        }
+
+        if (!(await requireOwner('edit a sale'))) return;
+
+        // Nothing is saved yet: the sale and its stock stay as they are until
+        // the edit is completed, when the new version replaces the old one
+        editingSaleId = sale.id;
+        editingReceiptNumber = sale.receiptNumber || null;
+        editingSaleStaff = { staffId: sale.staffId || null, staffName: sale.staffName || null };
+
+        // Load the sale's items back into the cart
+        cart = getSaleItems(sale).map(restoreCartItem);
+
+        saleDiscountTypeSelect.value = sale.saleDiscountType || '';
+        saleDiscountValueInput.value = sale.saleDiscountType ? sale.saleDiscountValue : '';
+
+        if (sale.paymentType === "credit") {
+            paymentTypeSelect.value = "credit";
+            customerField.classList.remove('hidden');
+            customerNameInput.value = sale.customerName;
+        } else {
+            paymentTypeSelect.value = sale.paymentType;
+        }
+
+        cancelSaleEditBtn.classList.remove('hidden');
+        renderCart();
+    }
+});
+
+
+// ===============================
+// RETURNS & REFUNDS
+// ===============================
+
+// ----- DOM ELEMENTS -----
+const returnPanel = document.getElementById('returnPanel');
+const returnForm = document.getElementById('returnForm');
+const returnSaleLabel = document.getElementById('returnSaleLabel');
+const returnItemsTableBody = document.querySelector('#returnItemsTable tbody');
+const returnConditionSelect = document.getElementById('returnCondition');
+const refundMethodSelect = document.getElementById('refundMethod');
+const returnReasonInput = document.getElementById('returnReason');
+const returnTotalEl = document.getElementById('returnTotal');
+const cancelReturnBtn = document.getElementById('cancelReturnBtn');
+const returnsTableBody = document.querySelector('#returnsTable tbody');
+
+const REFUND_METHODS = {
+    cash: 'Cash',
+    transfer: 'Transfer',
+    credit: "Credit (reduce customer's balance)"
+};
+
+/*
+ * getReturnedQuantity(saleId, lineIndex)
+ * How many units of one sale line have already come back.
+ * Lines are matched by position, because a product can be on a sale twice.
+ */
+function getReturnedQuantity(saleId, lineIndex) {
+    return returns
+        .filter(r => r.saleId === saleId)
+        .reduce((sum, r) => sum + r.items
+            .filter(item => item.lineIndex === lineIndex)
+            .reduce((lineSum, item) => lineSum + item.quantity, 0), 0);
+}
+
+/*
+ * getCashRefunded(saleId)
+ * Money already handed back (cash or transfer) for a sale.
+ */
+function getCashRefunded(saleId) {
+    return returns
+        .filter(r => r.saleId === saleId && r.refundMethod !== 'credit')
+        .reduce((sum, r) => sum + r.total, 0);
+}
+
+function openReturnForm(sale) {
+
+    returningSale = sale;
+    returnForm.reset();
+
+    returnSaleLabel.textContent =
+        `Receipt ${formatReceiptNumber(sale.receiptNumber)} (${formatDate(sale.date)})`;
+
+    returnItemsTableBody.innerHTML = '';
+
+    getSaleItems(sale).forEach((item, index) => {
+
+        const returnable = item.quantity - getReturnedQuantity(sale.id, index);
+
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${item.productName}</td>
+            <td>${item.quantity}</td>
+            <td>${item.quantity - returnable}</td>
+            <td>${item.salePrice}</td>
+            <td>
+                <input type="number" class="return-qty" data-index="${index}"
+                    min="0" max="${returnable}" value="0" ${returnable === 0 ? 'disabled' : ''}>
+            </td>
+        `;
+        returnItemsTableBody.appendChild(tr);
+    });
+
+    // Credit refunds only make sense when the customer still owes on this sale
+    refundMethodSelect.querySelector('option[value="credit"]').disabled =
+        sale.paymentType !== 'credit' || !(sale.remainingBalance > 0);
+
+    updateReturnTotal();
+    returnPanel.classList.remove('hidden');
+    returnPanel.scrollIntoView({ behavior: 'smooth' });
+}
+
+function closeReturnForm() {
+    returningSale = null;
+    returnPanel.classList.add('hidden');
+}
+
+// Quantities typed into the form, one entry per line being returned
+function getReturnLines() {
+
+    const items = getSaleItems(returningSale);
+
+    return Array.from(returnItemsTableBody.querySelectorAll('.return-qty'))
+        .map(input => ({
+            index: parseInt(input.dataset.index),
+            quantity: Number(input.value),
+            max: Number(input.max)
+        }))
+        .filter(line => line.quantity !== 0)
+        .map(line => ({ ...line, item: items[line.index] }));
+}
+
+function updateReturnTotal() {
+    if (!returningSale) return;
+
+    const total = getReturnLines()
+        .reduce((sum, line) => sum + (line.quantity * getNetUnitPrice(line.item) || 0), 0);
+
+    returnTotalEl.textContent = total.toFixed(2);
+}
+
+returnItemsTableBody.addEventListener('input', updateReturnTotal);
+cancelReturnBtn.addEventListener('click', closeReturnForm);
+
+returnForm.addEventListener('submit', function (e) {
+
+    e.preventDefault();
+
+    const sale = returningSale;
+    if (!sale) return;
+
+    const lines = getReturnLines();
+
+    if (lines.length === 0) {
+        alert("Enter the quantity being returned for at least one item.");
+        return;
+    }
+
+    const badLine = lines.find(line =>
+        !Number.isInteger(line.quantity) || line.quantity < 0 || line.quantity > line.max
+    );
+
+    if (badLine) {
+        alert(`Return quantity for ${badLine.item.productName} must be a whole number from 0 to ${badLine.max}.`);
+        return;
+    }
+
+    const condition = returnConditionSelect.value;   // 'restock' or 'damaged'
+    const refundMethod = refundMethodSelect.value;
+    const total = roundMoney(lines.reduce((sum, line) => sum + line.quantity * getNetUnitPrice(line.item), 0));
+
+    // Never refund more than the customer actually paid or owes
+    if (refundMethod === 'credit') {
+        if (sale.paymentType !== 'credit' || total > sale.remainingBalance + 0.001) {
+            alert(`A credit refund can be at most the balance still owed on this sale (${(sale.remainingBalance || 0).toFixed(2)}).`);
+            return;
+        }
+    } else {
+        const refundable = (sale.paidAmount || 0) - getCashRefunded(sale.id);
+        if (total > refundable + 0.001) {
+            alert(`Only ${refundable.toFixed(2)} has been paid on this sale and not yet refunded. ` +
+                `Use a credit refund for the rest.`);
+            return;
+        }
+    }
+
+    if (!confirm(`Return goods worth ${total.toFixed(2)} and refund by ${refundMethod}?`)) return;
+
+    const returnId = generateId();
+
+    const items = lines.map(line => {
+
+        const unitCost = typeof line.item.costPrice === 'number' ? line.item.costPrice : 0;
+
+        // Good items go back on the shelf at the cost they left at;
+        // damaged items never come back, so their cost stays a loss
+        if (condition === 'restock') {
+            const product = products.find(p => p.id === line.item.productId);
+            if (product) {
+                changeStock(product, line.quantity, 'return', `Return ${returnId} (Sale ${sale.id})`, line.item.costPrice);
+            }
+        }
+
+        return {
+            lineIndex: line.index,
+            productId: line.item.productId,
+            productName: line.item.productName,
+            quantity: line.quantity,
+            salePrice: line.item.salePrice,
+            total: roundMoney(line.quantity * getNetUnitPrice(line.item)),
+            taxName: line.item.taxName || null,
+            taxRate: line.item.taxRate || 0,
+            taxAmount: roundMoney((line.item.taxAmount || 0) * line.quantity / line.item.quantity),
+            costPrice: unitCost,
+            totalCost: condition === 'restock' ? unitCost * line.quantity : 0
+        };
+    });
+
+    returns.push({
+        id: returnId,
+        date: new Date().toISOString(),
+        saleId: sale.id,
+        receiptNumber: sale.receiptNumber || null,
+        customerId: sale.customerId || null,
+        customerName: sale.customerName || null,
+        items,
+        total,
+        taxTotal: roundMoney(items.reduce((sum, item) => sum + item.taxAmount, 0)),
+        totalCost: items.reduce((sum, item) => sum + item.totalCost, 0),
+        condition,
+        refundMethod,
+        reason: returnReasonInput.value.trim(),
+        ...getStaffStamp()
+    });
+
+    // A credit refund simply lowers what the customer owes on the sale
+    if (refundMethod === 'credit') {
+        sale.remainingBalance = Math.max(0, sale.remainingBalance - total);
+        updateSaleStatus(sale);
+    }
+
+    saveStock({ returns, sales });
+
+    closeReturnForm();
+
+    renderProducts();
+    renderSales();
+    renderReturns();
+    renderReports();
+    renderCredit();
+    renderDashboard();
+    renderCustomers();
+
+    alert("Return recorded.");
+});
+
+function renderReturns() {
+
+    returnsTableBody.innerHTML = '';
+
+    returns.forEach(saleReturn => {
+
+        const itemsList = saleReturn.items
+            .map(item => `${item.productName} × ${item.quantity}`)
+            .join('<br>');
+
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${formatDate(saleReturn.date)}</td>
+            <td>${formatReceiptNumber(saleReturn.receiptNumber)}</td>
+            <td>${itemsList}</td>
+            <td>${saleReturn.total.toFixed(2)}</td>
+            <td>${REFUND_METHODS[saleReturn.refundMethod] || saleReturn.refundMethod}</td>
+            <td>${saleReturn.condition === 'restock' ? 'Restocked' : 'Damaged (written off)'}</td>
+            <td>${saleReturn.reason || '-'}</td>
+        `;
+        returnsTableBody.appendChild(tr);
+    });
+}
+
+
+// ===============================
+// PAYMENT TYPE TOGGLE
+// ===============================
+
+paymentTypeSelect.addEventListener('change', function () {
+    if (this.value === 'credit') {
+        customerField.classList.remove('hidden');
+    } else {
+        customerField.classList.add('hidden');
+        customerNameInput.value = '';
+    }
+});
+
+
+// ===============================
+// RENDER SALES
+// ===============================
+
+function renderSales() {
+
+    salesTableBody.innerHTML = '';
+
+    sales.forEach(sale => {
+
+        const items = getSaleItems(sale);
+        const totalQuantity = items.reduce((sum, item) => sum + item.quantity, 0);
+
+        // One line per item, e.g. "Coke × 2 @ 200 (1 returned)"
+        const itemsList = items
+            .map((item, index) => {
+                const returned = getReturnedQuantity(sale.id, index);
+                const note = returned ? ` <small>(${returned} returned)</small>` : '';
+                return `${item.productName} × ${item.quantity} @ ${item.salePrice}${note}`;
+            })
+            .join('<br>');
+
+        const canReturn = items.some((item, index) => getReturnedQuantity(sale.id, index) < item.quantity);
+
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${formatReceiptNumber(sale.receiptNumber)}</td>
+            <td>${formatDate(sale.date)}</td>
+            <td>${itemsList}</td>
+            <td>${totalQuantity}</td>
+            <td>${sale.total}</td>
+            <td>${sale.paymentType}</td>
+            <td>${sale.customerName || '-'}</td>
+            <td>${sale.staffName || '-'}</td>
+            <td>
+                <button class="receipt-sale-btn" data-id="${sale.id}">Receipt</button>
+                ${canReturn ? `<button class="return-sale-btn" data-id="${sale.id}">Return</button>` : ''}
+                <button class="edit-sale-btn" data-id="${sale.id}">Edit</button>
+                <button class="delete-sale-btn" data-id="${sale.id}">Delete</button>
+            </td>
+        `;
+
+        salesTableBody.appendChild(tr);
+    });
+}
+
+
+// ===============================
+// RECEIPTS
+// ===============================
+
+// ----- DOM ELEMENTS -----
+const receiptModal = document.getElementById('receiptModal');
+const receiptContent = document.getElementById('receiptContent');
+const receiptLayoutSelect = document.getElementById('receiptLayout');
+const printReceiptBtn = document.getElementById('printReceiptBtn');
+const closeReceiptBtn = document.getElementById('closeReceiptBtn');
+const shopDetailsForm = document.getElementById('shopDetailsForm');
+const shopNameInput = document.getElementById('shopNameInput');
+const shopDetailsInput = document.getElementById('shopDetailsInput');
+const receiptFooterInput = document.getElementById('receiptFooterInput');
+
+const DEFAULT_SHOP_NAME = 'Shop Management System';
+const DEFAULT_RECEIPT_FOOTER = 'Thank you for your patronage!';
+
+/*
+ * getNextReceiptNumber()
+ * The number the next sale gets. The counter is kept separately (so numbers
+ * of deleted sales are never given out again) and is saved together with
+ * the sale - see the sale form - so a sale that isn't saved uses up no number,
+ * and two tabs can't both hand out the same one.
+ */
+function getNextReceiptNumber() {
+
+    const highestUsed = sales.reduce((max, sale) => Math.max(max, sale.receiptNumber || 0), 0);
+    return Math.max(getSetting('nextReceiptNumber', 1), highestUsed + 1);
+}
+
+// 12 -> "#000012"
+function formatReceiptNumber(number) {
+    return number ? '#' + String(number).padStart(6, '0') : '-';
+}
+
+/*
+ * showReceipt(sale)
+ * Fills the receipt view for one sale and opens it.
+ * The same markup prints as a narrow thermal slip or an A4 invoice.
+ */
+function showReceipt(sale) {
+
+    const shopName = getSetting('shopName', DEFAULT_SHOP_NAME);
+    const shopDetails = getSetting('shopDetails', '');
+    const receiptFooter = getSetting('receiptFooter', DEFAULT_RECEIPT_FOOTER);
+
+    const items = getSaleItems(sale);
+
+    // Lines show list price less item discount; the sale discount and tax are shown once under the subtotal
+    const getLineAmount = item => {
+        const price = item.originalPrice !== undefined ? item.originalPrice : item.salePrice;
+        return roundMoney(price * item.quantity - (item.discount || 0));
+    };
+
+    const rows = items
+        .map(item => {
+            const price = item.originalPrice !== undefined ? item.originalPrice : item.salePrice;
+            const lineTotal = getLineAmount(item);
+            const discountNote = item.discount
+                ? `<br><small>Discount -${item.discount.toFixed(2)}</small>`
+                : '';
+            const taxNote = item.taxRate ? `<br><small>${item.taxName} ${item.taxRate}%</small>` : '';
+
+            return `
+                <tr>
+                    <td>${item.productName}${discountNote}${taxNote}</td>
+                    <td>${item.quantity}</td>
+                    <td>${Number(price).toFixed(2)}</td>
+                    <td>${Number(lineTotal).toFixed(2)}</td>
+                </tr>
+            `;
+        })
+        .join('');
+
+    const subtotal = items.reduce((sum, item) => sum + getLineAmount(item), 0);
+
+    let discountInfo = '';
+    if (sale.saleDiscount || (sale.taxTotal && !sale.taxInclusive)) {
+        discountInfo += `<p><strong>Subtotal:</strong> ${subtotal.toFixed(2)}</p>`;
+    }
+    if (sale.saleDiscount) {
+        discountInfo += `<p><strong>Sale Discount:</strong> -${sale.saleDiscount.toFixed(2)}</p>`;
+    }
+
+    // One tax line per rate, e.g. "VAT 7.5% on 1000.00: 75.00"
+    let taxInfo = '';
+    if (sale.taxTotal) {
+        const byRate = {};
+        items.filter(item => item.taxRate).forEach(item => {
+            const key = `${item.taxName} ${item.taxRate}%`;
+            byRate[key] = byRate[key] || { net: 0, tax: 0 };
+            byRate[key].net += item.netAmount;
+            byRate[key].tax += item.taxAmount;
+        });
+
+        taxInfo = Object.entries(byRate)
+            .map(([label, totals]) =>
+                `<p>${label} on ${totals.net.toFixed(2)}: ${totals.tax.toFixed(2)}${sale.taxInclusive ? ' (included)' : ''}</p>`
+            )
+            .join('') + `<p><strong>Net (excl. tax):</strong> ${sale.netTotal.toFixed(2)}</p>`;
+    }
+
+    // Credit sales show who owes and how much
+    let creditInfo = '';
+    if (sale.paymentType === 'credit') {
+        const customerBalance = sale.customerId ? getCustomerBalance(sale.customerId) : sale.remainingBalance;
+
+        creditInfo = `
+            <p><strong>Customer:</strong> ${sale.customerName}</p>
+            <p><strong>Paid:</strong> ${Number(sale.paidAmount).toFixed(2)}</p>
+            <p><strong>Balance on this sale:</strong> ${Number(sale.remainingBalance).toFixed(2)}</p>
+            <p><strong>Total balance owed:</strong> ${customerBalance.toFixed(2)}</p>
+        `;
+    }
+
+    receiptContent.innerHTML = `
+        <div class="receipt-header">
+            <h2>${shopName}</h2>
+            ${shopDetails ? `<p>${shopDetails}</p>` : ''}
+        </div>
+
+        <div class="receipt-meta">
+            <p><strong>Receipt:</strong> ${formatReceiptNumber(sale.receiptNumber)}</p>
+            <p><strong>Date:</strong> ${formatDate(sale.date)}</p>
+        </div>
+
+        <table class="receipt-items">
+            <thead>
+                <tr>
+                    <th>Item</th>
+                    <th>Qty</th>
+                    <th>Price</th>
+                    <th>Amount</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+
+        <div class="receipt-totals">
+            ${discountInfo}
+            ${sale.taxInclusive ? '' : taxInfo}
+            <p class="receipt-total"><strong>Total:</strong> ${Number(sale.total).toFixed(2)}</p>
+            ${sale.taxInclusive ? taxInfo : ''}
+            ${sale.discountTotal ? `<p>You saved: ${sale.discountTotal.toFixed(2)}</p>` : ''}
+            <p><strong>Payment:</strong> ${sale.paymentType}</p>
+            ${creditInfo}
+        </div>
+
+        <p class="receipt-footer">${receiptFooter}</p>
+    `;
+
+    applyReceiptLayout();
+    receiptModal.classList.remove('hidden');
+}
+
+// Thermal (80mm slip) or A4 invoice - remembered for next time
+function applyReceiptLayout() {
+    const layout = getSetting('receiptLayout', 'thermal');
+    receiptLayoutSelect.value = layout;
+
+    receiptContent.classList.toggle('receipt-thermal', layout === 'thermal');
+    receiptContent.classList.toggle('receipt-a4', layout === 'a4');
+}
+
+receiptLayoutSelect.addEventListener('change', function () {
+    setData('receiptLayout', this.value);
+    applyReceiptLayout();
+});
+
+printReceiptBtn.addEventListener('click', function () {
+    // style.css hides everything except the receipt when printing
+    document.body.classList.add('printing-receipt');
+    window.print();
+    document.body.classList.remove('printing-receipt');
+});
+
+closeReceiptBtn.addEventListener('click', function () {
+    receiptModal.classList.add('hidden');
+});
+
+
+// ===============================
+// SHOP DETAILS (SHOWN ON RECEIPTS)
+// ===============================
+
+function renderShopDetails() {
+    shopNameInput.value = getSetting('shopName', DEFAULT_SHOP_NAME);
+    shopDetailsInput.value = getSetting('shopDetails', '');
+    receiptFooterInput.value = getSetting('receiptFooter', DEFAULT_RECEIPT_FOOTER);
+}
+
+shopDetailsForm.addEventListener('submit', function (e) {
+
+    e.preventDefault();
+
+    const shopName = shopNameInput.value.trim();
+
+    if (shopName === '') {
+        alert("Please enter the shop name.");
+        return;
+    }
+
+    setData('shopName', shopName);
+    setData('shopDetails', shopDetailsInput.value.trim());
+    setData('receiptFooter', receiptFooterInput.value.trim());
+
+    alert("Shop details saved.");
+});
+
+
+// ===============================
+// EXPENSES MODULE
+// ===============================
+
+// ----- STATE -----
+let expenses = [];             // Filled from storage in startApp()
+let editingExpenseId = null;        // Track edit state
+
+// ----- DOM ELEMENTS -----
+const expenseForm = document.getElementById('expenseForm');
+const expensesTableBody = document.querySelector('#expensesTable tbody');
+
+
+// ===============================
+// ADD / EDIT EXPENSE
+// ===============================
+
+expenseForm.addEventListener('submit', function (e) {
+
+    e.preventDefault();
+
+    const title = document.getElementById('expenseTitle').value.trim();
+    const amount = parseFloat(document.getElementById('expenseAmount').value);
+
+    // Basic validation
+    if (!title || isNaN(amount) || amount <= 0) {
+        alert("Please enter valid expense details.");
+        return;
+    }
+
+    // An edited expense keeps its date (so it stays in its period) and the
+    // name of whoever first recorded it
+    const oldExpense = expenses.find(exp => exp.id === editingExpenseId);
+
+    const expense = {
+        id: editingExpenseId || '_' + Date.now(),
+        title,
+        amount,
+        date: oldExpense ? oldExpense.date : new Date().toISOString(),
+        staffId: oldExpense ? oldExpense.staffId || null : getStaffStamp().staffId,
+        staffName: oldExpense ? oldExpense.staffName || null : getStaffStamp().staffName
+    };
+
+    if (editingExpenseId) {
+        // EDIT MODE
+        const index = expenses.findIndex(exp => exp.id === editingExpenseId);
+        expenses[index] = expense;
+        editingExpenseId = null;
+    } else {
+        // ADD MODE
+        expenses.push(expense);
+    }
+
+    setData('expenses', expenses);
+
+    expenseForm.reset();
+    renderExpenses();
+    renderReports(); // update reports after expense change
+    renderDashboard();
+});
+
+
+// ===============================
+// DELETE & EDIT BUTTON HANDLING
+// ===============================
+
+expensesTableBody.addEventListener('click', async function (e) {
+
+    const id = e.target.dataset.id;
+    const index = expenses.findIndex(exp => exp.id === id);
+    if (index === -1) return;
+
+    const expense = expenses[index];
+
+    // DELETE
+    if (e.target.classList.contains('delete-expense-btn')) {
+
+        if (!(await requireOwner('delete an expense'))) return;
+        if (!confirm("Delete this expense?")) return;
+
+        expenses.splice(index, 1);
+        setData('expenses', expenses);
+
+        renderExpenses();
+        renderReports();
+        renderDashboard();
+    }
+
+    // EDIT
+    if (e.target.classList.contains('edit-expense-btn')) {
+
+        document.getElementById('expenseTitle').value = expense.title;
+        document.getElementById('expenseAmount').value = expense.amount;
+
+        editingExpenseId = expense.id;
+    }
+
+});
+
+
+// ===============================
+// RENDER EXPENSES TABLE
+// ===============================
+
+function renderExpenses() {
+
+    expensesTableBody.innerHTML = '';
+
+    expenses.forEach(exp => {
+
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${formatDate(exp.date)}</td>
+            <td>${exp.title}</td>
+            <td>${exp.amount}</td>
+            <td>${exp.staffName || '-'}</td>
+            <td>
+                <button class="edit-expense-btn" data-id="${exp.id}">Edit</button>
+                <button class="delete-expense-btn" data-id="${exp.id}">Delete</button>
+            </td>
+        `;
+
+        expensesTableBody.appendChild(tr);
+    });
+}
+
+
+// ===============================
+// REPORTS + CHART MODULE
+// ===============================
+
+
+/* =====================================================
+   1️⃣ CHART STATE (DECLARE FIRST - VERY IMPORTANT)
+   ===================================================== */
+
+// This must be declared BEFORE any function uses it
+let reportChartInstance = null;
+
+
+/* =====================================================
+   2️⃣ CACHE DOM REFERENCES (AFTER DOM IS LOADED)
+   ===================================================== */
+
+// These elements must exist in your HTML
+const totalRevenueEl = document.getElementById('totalRevenue');
+const totalReturnsEl = document.getElementById('totalReturns');
+const grossSalesEl = document.getElementById('grossSales');
+const totalDiscountsEl = document.getElementById('totalDiscounts');
+const totalCostEl = document.getElementById('totalCost');
+const grossProfitEl = document.getElementById('grossProfit');
+const totalExpensesEl = document.getElementById('totalExpenses');
+const netProfitEl = document.getElementById('netProfit');
+const topProductEl = document.getElementById('topProduct');
+
+// Date range picker
+const reportPeriodSelect = document.getElementById('reportPeriod');
+const reportCustomRange = document.getElementById('reportCustomRange');
+const reportFromInput = document.getElementById('reportFrom');
+const reportToInput = document.getElementById('reportTo');
+const reportRangeLabel = document.getElementById('reportRangeLabel');
+
+
+/* =====================================================
+   3️⃣ CHART RENDER FUNCTION
+   ===================================================== */
+
+/*
+ * canDrawChart(canvas)
+ * Chart.js is a separate file (vendor/chart.umd.min.js). If it failed to load,
+ * the canvas is swapped for a short note so the rest of the reports still work.
+ */
+function canDrawChart(canvas) {
+
+    const available = typeof Chart !== 'undefined';
+    let note = canvas.parentElement.querySelector('.chart-unavailable');
+
+    canvas.classList.toggle('hidden', !available);
+
+    if (!available && !note) {
+        note = document.createElement('p');
+        note.className = 'chart-unavailable';
+        note.textContent = 'Chart unavailable: the chart library could not be loaded. The figures on this page are not affected.';
+        canvas.parentElement.appendChild(note);
+    }
+
+    if (note) note.classList.toggle('hidden', available);
+
+    return available;
+}
+
+/*
+ * renderChart(current, previous)
+ * Both arguments are report totals from calculateReport().
+ * previous is null when there is nothing to compare with (All time).
+ */
+function renderChart(current, previous) {
+
+    const canvas = document.getElementById('reportChart');
+
+    // Safety: If chart canvas does not exist (or Chart.js is missing), stop execution
+    if (!canvas || !canDrawChart(canvas)) return;
+
+    const ctx = canvas.getContext('2d');
+
+    // Destroy old chart before creating a new one
+    // Prevents memory leaks & duplicate charts
+    if (reportChartInstance) {
+        reportChartInstance.destroy();
+    }
+
+    const toChartData = totals => [
+        totals.revenue,
+        totals.grossProfit,
+        totals.expenses,
+        totals.netProfit
+    ];
+
+    const datasets = [{
+        label: 'This Period',
+        data: toChartData(current),
+        backgroundColor: [
+            '#3b82f6',
+            '#22c55e',
+            '#ef4444',
+            '#a855f7'
+        ]
+    }];
+
+    if (previous) {
+        datasets.push({
+            label: 'Previous Period',
+            data: toChartData(previous),
+            backgroundColor: '#cbd5e1'
+        });
+    }
+
+    reportChartInstance = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: [
+                'Revenue',
+                'Gross Profit',
+                'Expenses',
+                'Net Profit'
+            ],
+            datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false
+        }
+    });
+}
+
+
+/* =====================================================
+   4️⃣ REPORT CALCULATION
+   ===================================================== */
+
+/*
+ * getItemCost(item, productsData)
+ * Cost of goods sold for one sale line, using the cost stored on the item
+ * when it was sold. Only very old items without a stored cost fall back
+ * to the product's current cost price.
+ */
+function getItemCost(item, productsData) {
+
+    if (typeof item.totalCost === 'number') return item.totalCost;
+    if (typeof item.costPrice === 'number') return item.costPrice * item.quantity;
+
+    // Find matching product
+    const matchedProduct = productsData.find(
+        product => product.id === item.productId || product.name === item.productName
+    );
+
+    return matchedProduct ? matchedProduct.costPrice * item.quantity : 0;
+}
+
+/*
+ * getSaleListPriceExTax(sale)
+ * Every item at its price before discounts, without tax - the same basis
+ * as revenue, so gross sales - discounts = revenue whether or not prices
+ * include tax.
+ */
+function getSaleListPriceExTax(sale) {
+    return getSaleItems(sale).reduce((sum, item) => {
+        const listPrice = (item.originalPrice !== undefined ? item.originalPrice : item.salePrice) * item.quantity;
+        // Rounded like calculateTax(), so an undiscounted line comes out at exactly its net amount
+        return sum + (sale.taxInclusive && item.taxRate ? roundMoney(listPrice / (1 + item.taxRate / 100)) : listPrice);
+    }, 0);
+}
+
+// Cost of goods sold for one sale (all of its items)
+function getSaleCost(sale, productsData) {
+    return getSaleItems(sale).reduce((sum, item) => sum + getItemCost(item, productsData), 0);
+}
+
+/*
+ * calculateReport(salesData, productsData, expensesData, range, returnsData)
+ * Adds up every sale, return and expense dated inside range
+ * (range = null means all time). Revenue is net: discounts are already
+ * taken off each sale, tax collected is left out (see calculateTaxSummary),
+ * and returns count as negative revenue on the day the goods came back.
+ */
+function calculateReport(salesData, productsData, expensesData, range, returnsData = []) {
+
+    let grossSales = 0;
+    let totalRevenue = 0;
+    let totalDiscounts = 0;
+    let totalTax = 0;
+    let totalCost = 0;
+    let productSalesMap = {};
+
+    // -------------------------------
+    // PROCESS SALES
+    // -------------------------------
+    salesData.forEach(sale => {
+
+        if (range && !isDateInRange(sale.date, range)) return;
+
+        // Add revenue (tax belongs to the government, so it is left out) and cost of goods sold
+        const saleRevenue = sale.total - (sale.taxTotal || 0);
+        const listPrice = getSaleListPriceExTax(sale);
+
+        totalRevenue += saleRevenue;
+        totalTax += sale.taxTotal || 0;
+        grossSales += listPrice;
+        totalDiscounts += roundMoney(listPrice - saleRevenue); // without tax too, like revenue
+        totalCost += getSaleCost(sale, productsData);
+
+        // A sale can hold several items
+        getSaleItems(sale).forEach(item => {
+
+            // Track product quantity for best seller
+            productSalesMap[item.productName] =
+                (productSalesMap[item.productName] || 0) + item.quantity;
+        });
+    });
+
+    // -------------------------------
+    // PROCESS RETURNS
+    // -------------------------------
+    let totalReturns = 0;
+
+    returnsData.forEach(saleReturn => {
+
+        if (range && !isDateInRange(saleReturn.date, range)) return;
+
+        totalReturns += saleReturn.total - (saleReturn.taxTotal || 0);
+        totalTax -= saleReturn.taxTotal || 0;
+
+        // Only restocked goods come off the cost of goods sold
+        totalCost -= saleReturn.totalCost;
+
+        saleReturn.items.forEach(item => {
+            productSalesMap[item.productName] =
+                (productSalesMap[item.productName] || 0) - item.quantity;
+        });
+    });
+
+    // Gross = list prices before any discount or return; revenue = what was really earned
+    totalRevenue -= totalReturns;
+
+    // -------------------------------
+    // CALCULATIONS
+    // -------------------------------
+    const grossProfit = totalRevenue - totalCost;
+
+    const totalExpenses = expensesData
+        .filter(expense => !range || isDateInRange(expense.date, range))
+        .reduce((sum, expense) => sum + expense.amount, 0);
+
+    const netProfit = grossProfit - totalExpenses;
+
+    // -------------------------------
+    // FIND TOP PRODUCT
+    // -------------------------------
+    let topProduct = '-';
+    let highestQuantity = 0;
+
+    Object.entries(productSalesMap).forEach(([name, qty]) => {
+        if (qty > highestQuantity) {
+            highestQuantity = qty;
+            topProduct = name;
+        }
+    });
+
+    return {
+        grossSales,
+        discounts: totalDiscounts,
+        revenue: totalRevenue,
+        returns: totalReturns,
+        tax: totalTax,
+        cost: totalCost,
+        grossProfit,
+        expenses: totalExpenses,
+        netProfit,
+        topProduct
+    };
+}
+
+/*
+ * describeChange(current, previous)
+ * Text for the "vs previous period" line under each card,
+ * e.g. "Prev: 1200.00 (▲ 25.0%)".
+ */
+function describeChange(current, previous) {
+
+    let change;
+
+    if (previous === 0) {
+        change = current === 0 ? '0%' : 'new';
+    } else {
+        const percent = ((current - previous) / Math.abs(previous)) * 100;
+        const arrow = percent > 0 ? '▲' : percent < 0 ? '▼' : '';
+        change = `${arrow} ${Math.abs(percent).toFixed(1)}%`.trim();
+    }
+
+    return `Prev: ${previous.toFixed(2)} (${change})`;
+}
+
+
+/* =====================================================
+   5️⃣ TREND CHARTS (OVER TIME + BY PAYMENT TYPE)
+   ===================================================== */
+
+let trendChartInstance = null;
+let paymentTypeChartInstance = null;
+
+const trendGranularitySelect = document.getElementById('trendGranularity');
+const trendStyleSelect = document.getElementById('trendStyle');
+
+/*
+ * getBucketKey(value, granularity)
+ * Groups a date by day ("2025-01-31") or by month ("2025-01"), in local time.
+ */
+function getBucketKey(value, granularity) {
+    const date = new Date(value);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+
+    return granularity === 'month'
+        ? `${date.getFullYear()}-${month}`
+        : `${date.getFullYear()}-${month}-${day}`;
+}
+
+/*
+ * getTrendBuckets(range, granularity)
+ * Every day (or month) in the range, in order, so quiet days still show as 0.
+ */
+function getTrendBuckets(range, granularity) {
+
+    const buckets = [];
+    let cursor = granularity === 'month'
+        ? new Date(range.start.getFullYear(), range.start.getMonth(), 1)
+        : range.start;
+
+    while (cursor < range.end) {
+
+        buckets.push({
+            key: getBucketKey(cursor, granularity),
+            label: granularity === 'month'
+                ? cursor.toLocaleDateString(undefined, { month: 'short', year: 'numeric' })
+                : cursor.toLocaleDateString(),
+            revenue: 0,
+            grossProfit: 0,
+            expenses: 0
+        });
+
+        cursor = granularity === 'month'
+            ? new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1)
+            : addDays(cursor, 1);
+    }
+
+    return buckets;
+}
+
+/*
+ * calculateTrend(salesData, productsData, expensesData, range, granularity, returnsData)
+ * Revenue, gross profit and expenses per day or month (returns lower revenue).
+ * With no range (All time) it runs from the first record until today.
+ */
+function calculateTrend(salesData, productsData, expensesData, range, granularity, returnsData = []) {
+
+    if (!range) {
+        const times = [...salesData, ...expensesData]
+            .map(record => new Date(record.date).getTime())
+            .filter(time => !isNaN(time));
+
+        const today = startOfDay(new Date());
+        const first = times.length ? startOfDay(new Date(Math.min(...times))) : today;
+
+        range = { start: first, end: addDays(today, 1) };
+    }
+
+    const buckets = getTrendBuckets(range, granularity);
+    const bucketMap = {};
+    buckets.forEach(bucket => { bucketMap[bucket.key] = bucket; });
+
+    salesData.forEach(sale => {
+        if (!isDateInRange(sale.date, range)) return;
+
+        const bucket = bucketMap[getBucketKey(sale.date, granularity)];
+        const revenue = sale.total - (sale.taxTotal || 0);
+        bucket.revenue += revenue;
+        bucket.grossProfit += revenue - getSaleCost(sale, productsData);
+    });
+
+    returnsData.forEach(saleReturn => {
+        if (!isDateInRange(saleReturn.date, range)) return;
+
+        const bucket = bucketMap[getBucketKey(saleReturn.date, granularity)];
+        const revenue = saleReturn.total - (saleReturn.taxTotal || 0);
+        bucket.revenue -= revenue;
+        bucket.grossProfit -= revenue - saleReturn.totalCost;
+    });
+
+    expensesData.forEach(expense => {
+        if (!isDateInRange(expense.date, range)) return;
+
+        bucketMap[getBucketKey(expense.date, granularity)].expenses += expense.amount;
+    });
+
+    return buckets;
+}
+
+/*
+ * calculatePaymentTypeTotals(salesData, range)
+ * Sales revenue split into cash / transfer / credit.
+ */
+function calculatePaymentTypeTotals(salesData, range) {
+
+    const totals = { cash: 0, transfer: 0, credit: 0 };
+
+    salesData.forEach(sale => {
+        if (range && !isDateInRange(sale.date, range)) return;
+        totals[sale.paymentType] = (totals[sale.paymentType] || 0) + sale.total;
+    });
+
+    return totals;
+}
+
+function renderTrendChart(buckets) {
+
+    const canvas = document.getElementById('trendChart');
+    if (!canvas || !canDrawChart(canvas)) return;
+
+    const ctx = canvas.getContext('2d');
+
+    // Same as renderChart: always destroy the old chart first
+    if (trendChartInstance) {
+        trendChartInstance.destroy();
+    }
+
+    const stacked = trendStyleSelect && trendStyleSelect.value === 'bar';
+
+    const makeDataset = (label, field, color) => ({
+        label,
+        data: buckets.map(bucket => bucket[field]),
+        borderColor: color,
+        backgroundColor: color,
+        fill: false
+    });
+
+    trendChartInstance = new Chart(ctx, {
+        type: stacked ? 'bar' : 'line',
+        data: {
+            labels: buckets.map(bucket => bucket.label),
+            datasets: [
+                makeDataset('Revenue', 'revenue', '#3b82f6'),
+                makeDataset('Gross Profit', 'grossProfit', '#22c55e'),
+                makeDataset('Expenses', 'expenses', '#ef4444')
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: { stacked },
+                y: { stacked }
+            }
+        }
+    });
+}
+
+function renderPaymentTypeChart(totals) {
+
+    const canvas = document.getElementById('paymentTypeChart');
+    if (!canvas || !canDrawChart(canvas)) return;
+
+    const ctx = canvas.getContext('2d');
+
+    if (paymentTypeChartInstance) {
+        paymentTypeChartInstance.destroy();
+    }
+
+    paymentTypeChartInstance = new Chart(ctx, {
+        type: 'doughnut',
+        data: {
+            labels: ['Cash', 'Transfer', 'Credit'],
+            datasets: [{
+                label: 'Sales by Payment Type',
+                data: [totals.cash, totals.transfer, totals.credit],
+                backgroundColor: ['#22c55e', '#3b82f6', '#f59e0b']
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false
+        }
+    });
+}
+
+
+/* =====================================================
+   6️⃣ MAIN REPORT RENDER FUNCTION
+   ===================================================== */
+
+/*
+ * getSelectedReportRange()
+ * Reads the period picker. Returns null for "All time".
+ */
+function getSelectedReportRange() {
+
+    const period = reportPeriodSelect ? reportPeriodSelect.value : 'all';
+
+    if (period === 'custom') {
+        return getCustomRange(reportFromInput.value, reportToInput.value);
+    }
+
+    return getPresetRange(period);
+}
+
+function renderReports() {
+
+    // Always fetch fresh data locally
+    const salesData = getData('sales') || [];
+    const productsData = getData('products') || [];
+    const expensesData = getData('expenses') || [];
+    const returnsData = getData('returns') || [];
+
+    const range = getSelectedReportRange();
+    const previousRange = range ? getPreviousRange(range) : null;
+
+    const current = calculateReport(salesData, productsData, expensesData, range, returnsData);
+    const previous = previousRange
+        ? calculateReport(salesData, productsData, expensesData, previousRange, returnsData)
+        : null;
+
+    // -------------------------------
+    // UPDATE UI (SAFETY CHECKS)
+    // -------------------------------
+    if (totalRevenueEl) totalRevenueEl.textContent = current.revenue.toFixed(2);
+    if (totalReturnsEl) totalReturnsEl.textContent = (-current.returns).toFixed(2);
+    if (grossSalesEl) grossSalesEl.textContent = current.grossSales.toFixed(2);
+    if (totalDiscountsEl) totalDiscountsEl.textContent = (-current.discounts).toFixed(2);
+    if (totalCostEl) totalCostEl.textContent = current.cost.toFixed(2);
+    if (grossProfitEl) grossProfitEl.textContent = current.grossProfit.toFixed(2);
+    if (totalExpensesEl) totalExpensesEl.textContent = current.expenses.toFixed(2);
+    if (netProfitEl) netProfitEl.textContent = current.netProfit.toFixed(2);
+    if (topProductEl) topProductEl.textContent = current.topProduct;
+
+    // "vs previous period" line under each card
+    const comparisons = {
+        totalRevenueCompare: 'revenue',
+        totalReturnsCompare: 'returns',
+        grossSalesCompare: 'grossSales',
+        totalDiscountsCompare: 'discounts',
+        totalCostCompare: 'cost',
+        grossProfitCompare: 'grossProfit',
+        totalExpensesCompare: 'expenses',
+        netProfitCompare: 'netProfit'
+    };
+
+    Object.entries(comparisons).forEach(([elementId, field]) => {
+        const el = document.getElementById(elementId);
+        if (!el) return;
+        el.textContent = previous ? describeChange(current[field], previous[field]) : '';
+    });
+
+    const topProductCompareEl = document.getElementById('topProductCompare');
+    if (topProductCompareEl) {
+        topProductCompareEl.textContent = previous ? `Prev: ${previous.topProduct}` : '';
+    }
+
+    if (reportRangeLabel) {
+        reportRangeLabel.textContent = range
+            ? `${formatRange(range)} (compared with ${formatRange(previousRange)})`
+            : 'All time';
+    }
+
+    // Update charts
+    renderChart(current, previous);
+
+    const granularity = trendGranularitySelect ? trendGranularitySelect.value : 'day';
+    renderTrendChart(calculateTrend(salesData, productsData, expensesData, range, granularity, returnsData));
+    renderPaymentTypeChart(calculatePaymentTypeTotals(salesData, range));
+
+    renderCategoryReport(calculateCategoryBreakdown(salesData, returnsData, productsData, range));
+
+    renderTaxSummary(calculateTaxSummary(salesData, returnsData, range), range);
+}
+
+
+/* =====================================================
+   7️⃣ DATE RANGE PICKER + CHART CONTROL EVENTS
+   ===================================================== */
+
+if (reportPeriodSelect) {
+
+    reportPeriodSelect.addEventListener('change', function () {
+        reportCustomRange.classList.toggle('hidden', this.value !== 'custom');
+        renderReports();
+    });
+
+    reportFromInput.addEventListener('change', renderReports);
+    reportToInput.addEventListener('change', renderReports);
+}
+
+if (trendGranularitySelect) {
+    trendGranularitySelect.addEventListener('change', renderReports);
+    trendStyleSelect.addEventListener('change', renderReports);
+}
+
+
+/* =====================================================
+   8️⃣ CATEGORY BREAKDOWN
+   ===================================================== */
+
+const categoryReportTableBody = document.querySelector('#categoryReportTable tbody');
+
+/*
+ * calculateCategoryBreakdown(salesData, returnsData, productsData, range)
+ * Revenue (excl. tax), gross profit and units sold per category, best first.
+ * Uses each product's current category, so older sales count as soon as
+ * their product is given a category.
+ */
+function calculateCategoryBreakdown(salesData, returnsData, productsData, range) {
+
+    const rows = {};
+
+    const getRow = item => {
+        const product = productsData.find(p => p.id === item.productId);
+        const category = (product && product.category) || UNCATEGORISED;
+
+        rows[category] = rows[category] || { category, revenue: 0, cost: 0, units: 0 };
+        return rows[category];
+    };
+
+    salesData.forEach(sale => {
+        if (range && !isDateInRange(sale.date, range)) return;
+
+        getSaleItems(sale).forEach(item => {
+            const row = getRow(item);
+            row.revenue += item.total - (item.taxAmount || 0);
+            row.cost += getItemCost(item, productsData);
+            row.units += item.quantity;
+        });
+    });
+
+    // Returns come off the category they were sold under
+    returnsData.forEach(saleReturn => {
+        if (range && !isDateInRange(saleReturn.date, range)) return;
+
+        saleReturn.items.forEach(item => {
+            const row = getRow(item);
+            row.revenue -= item.total - (item.taxAmount || 0);
+            row.cost -= item.totalCost;
+            row.units -= item.quantity;
+        });
+    });
+
+    return Object.values(rows)
+        .map(row => ({ ...row, grossProfit: row.revenue - row.cost }))
+        .sort((a, b) => b.grossProfit - a.grossProfit);
+}
+
+function renderCategoryReport(rows) {
+
+    if (!categoryReportTableBody) return;
+
+    if (rows.length === 0) {
+        categoryReportTableBody.innerHTML = '<tr><td colspan="5">No sales in this period.</td></tr>';
+        return;
+    }
+
+    const totalRevenue = rows.reduce((sum, row) => sum + row.revenue, 0);
+
+    categoryReportTableBody.innerHTML = rows
+        .map(row => `
+            <tr>
+                <td>${row.category}</td>
+                <td>${row.revenue.toFixed(2)}</td>
+                <td>${totalRevenue ? ((row.revenue / totalRevenue) * 100).toFixed(1) : '0.0'}%</td>
+                <td class="${row.grossProfit < 0 ? 'negative-profit' : ''}">${row.grossProfit.toFixed(2)}</td>
+                <td>${row.units}</td>
+            </tr>
+        `)
+        .join('');
+}
+
+
+/* =====================================================
+   9️⃣ TAX SUMMARY (FOR FILING VAT)
+   ===================================================== */
+
+const taxSummaryTableBody = document.querySelector('#taxSummaryTable tbody');
+const taxSummaryRangeEl = document.getElementById('taxSummaryRange');
+const exportTaxSummaryBtn = document.getElementById('exportTaxSummaryBtn');
+
+let lastTaxSummary = { rows: [], range: null };   // what the Export button downloads
+
+/*
+ * calculateTaxSummary(salesData, returnsData, range)
+ * One row per tax rate (plus "No tax"), using the rate stored on each sale line:
+ * { label, netSales, taxCollected, netReturns, taxRefunded, taxDue }
+ */
+function calculateTaxSummary(salesData, returnsData, range) {
+
+    const rows = {};
+
+    const getRow = item => {
+        const label = item.taxRate ? `${item.taxName} ${item.taxRate}%` : 'No tax';
+        rows[label] = rows[label] || { label, netSales: 0, taxCollected: 0, netReturns: 0, taxRefunded: 0 };
+        return rows[label];
+    };
+
+    salesData.forEach(sale => {
+        if (range && !isDateInRange(sale.date, range)) return;
+
+        getSaleItems(sale).forEach(item => {
+            const row = getRow(item);
+            row.netSales += item.netAmount !== undefined ? item.netAmount : item.total;
+            row.taxCollected += item.taxAmount || 0;
+        });
+    });
+
+    returnsData.forEach(saleReturn => {
+        if (range && !isDateInRange(saleReturn.date, range)) return;
+
+        saleReturn.items.forEach(item => {
+            const row = getRow(item);
+            row.netReturns += item.total - (item.taxAmount || 0);
+            row.taxRefunded += item.taxAmount || 0;
+        });
+    });
+
+    return Object.values(rows).map(row => ({ ...row, taxDue: row.taxCollected - row.taxRefunded }));
+}
+
+function renderTaxSummary(rows, range) {
+
+    if (!taxSummaryTableBody) return;
+
+    lastTaxSummary = { rows, range };
+    taxSummaryRangeEl.textContent = range ? formatRange(range) : 'All time';
+
+    if (rows.length === 0) {
+        taxSummaryTableBody.innerHTML = '<tr><td colspan="6">No sales in this period.</td></tr>';
+        return;
+    }
+
+    const total = field => rows.reduce((sum, row) => sum + row[field], 0);
+
+    const toCells = row => `
+        <td>${row.netSales.toFixed(2)}</td>
+        <td>${row.taxCollected.toFixed(2)}</td>
+        <td>${row.netReturns.toFixed(2)}</td>
+        <td>${row.taxRefunded.toFixed(2)}</td>
+        <td>${row.taxDue.toFixed(2)}</td>
+    `;
+
+    taxSummaryTableBody.innerHTML = rows
+        .map(row => `<tr><td>${row.label}</td>${toCells(row)}</tr>`)
+        .join('') + `
+        <tr class="tax-summary-total">
+            <td>Total</td>
+            ${toCells({
+                netSales: total('netSales'),
+                taxCollected: total('taxCollected'),
+                netReturns: total('netReturns'),
+                taxRefunded: total('taxRefunded'),
+                taxDue: total('taxDue')
+            })}
+        </tr>
+    `;
+}
+
+if (exportTaxSummaryBtn) {
+
+    exportTaxSummaryBtn.addEventListener('click', function () {
+
+        const { rows, range } = lastTaxSummary;
+
+        const csvRows = [
+            ['Period', range ? formatRange(range) : 'All time'],
+            [],
+            ['Tax Rate', 'Net Sales', 'Tax Collected', 'Net Returns', 'Tax Refunded', 'Tax Due'],
+            ...rows.map(row => [
+                row.label,
+                row.netSales.toFixed(2),
+                row.taxCollected.toFixed(2),
+                row.netReturns.toFixed(2),
+                row.taxRefunded.toFixed(2),
+                row.taxDue.toFixed(2)
+            ])
+        ];
+
+        downloadCsv(`tax-summary-${todayStamp()}.csv`, csvRows);
+    });
+}
+
+
+
+// ===============================
+// CREDIT MODULE
+// ===============================
+
+
+/* =====================================================
+   1️⃣ CACHE DOM REFERENCES
+   ===================================================== */
+
+const creditTable = document.getElementById('creditTable');
+const creditTableBody = document.querySelector('#creditTable tbody');
+
+
+/* =====================================================
+   2️⃣ MAIN RENDER FUNCTION
+   ===================================================== */
+
+/*
+ * getCreditKey(record)
+ * Credit sales and payments are grouped by customer id.
+ * Records from before customer records existed only have a name.
+ */
+function getCreditKey(record) {
+    return record.customerId || record.customerName;
+}
+
+function getCustomerDisplayName(key) {
+    const customer = customers.find(c => c.id === key);
+    return customer ? customer.name : key;
+}
+
+function renderCredit() {
+
+    // Always fetch fresh data locally
+    const salesData = getData('sales') || [];
+
+    // Safety check
+    if (!creditTableBody) return;
+
+    // Clear table
+    creditTableBody.innerHTML = '';
+
+    // Object to group customer debts (keyed by customer id)
+    const creditMap = {};
+
+    /* -------------------------------
+       GROUP CREDIT SALES BY CUSTOMER
+    -------------------------------- */
+
+    salesData.forEach(sale => {
+
+        if (sale.paymentType === "credit") {
+
+            const key = getCreditKey(sale);
+
+            if (!creditMap[key]) {
+                creditMap[key] = 0;
+            }
+
+            creditMap[key] += sale.remainingBalance || 0;
+        }
+
+    });
+
+    /* -------------------------------
+       IF NO CREDIT SALES
+    -------------------------------- */
+
+    if (Object.keys(creditMap).length === 0) {
+        creditTableBody.innerHTML = `
+            <tr>
+                <td colspan="4">No credit records found.</td>
+            </tr>
+        `;
+        return;
+    }
+
+    /* -------------------------------
+       RENDER GROUPED DATA
+    -------------------------------- */
+
+    Object.entries(creditMap).forEach(([customer, totalDebt]) => {
+
+        const status = totalDebt === 0 ? "Paid" : "Unpaid";
+
+        // Old sales are keyed by the typed name, which can hold quotes or "<"
+        const key = escapeHtml(customer);
+
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${escapeHtml(getCustomerDisplayName(customer))}</td>
+            <td>${totalDebt.toFixed(2)}</td>
+            <td>${status}</td>
+            <td>
+                <button class="pay-btn" data-customer="${key}">
+                    Record Payment
+                </button>
+                <button class="history-btn" data-customer="${key}">
+                    History
+                </button>
+            </td>
+        `;
+
+        creditTableBody.appendChild(tr);
+    });
+}
+
+
+/* =====================================================
+   3️⃣ PAYMENT EVENT HANDLER
+   ===================================================== */
+
+/*
+ * Every payment is saved in the "payments" store:
+ * {
+ *   id, date, customerId, customerName, amount, method,
+ *   allocations: [{ saleId, amount }],   // which sales it paid off, and how much
+ *   reversed, reversedDate               // set when a mistaken payment is undone
+ * }
+ */
+
+// ----- STATE -----
+let payments = [];             // Filled from storage in startApp()
+let historyCustomer = null;    // Customer whose payment history is open
+
+/*
+ * updateSaleStatus(sale)
+ * Works out Paid / Partial / Unpaid from the sale's balances.
+ */
+function updateSaleStatus(sale) {
+    if (sale.remainingBalance <= 0) {
+        sale.status = "Paid";
+    } else if (sale.paidAmount > 0) {
+        sale.status = "Partial";
+    } else {
+        sale.status = "Unpaid";
+    }
+}
+
+// Add event listener only if table exists
+if (creditTable) {
+
+    creditTable.addEventListener('click', async function (e) {
+
+        // HISTORY
+        if (e.target.classList.contains('history-btn')) {
+            historyCustomer = e.target.dataset.customer;
+            renderPaymentHistory();
+            return;
+        }
+
+        if (!e.target.classList.contains('pay-btn')) return;
+
+        const customerKey = e.target.dataset.customer;
+
+        const approver = await requireOwner('record a credit payment');
+        if (!approver) return;
+
+        const payment = parseFloat(prompt("Enter payment amount:"));
+
+        if (isNaN(payment) || payment <= 0) {
+            alert("Invalid payment amount.");
+            return;
+        }
+
+        const method = (prompt("Payment method (cash / transfer):", "cash") || '').trim().toLowerCase();
+
+        if (method !== 'cash' && method !== 'transfer') {
+            alert("Payment method must be cash or transfer.");
+            return;
+        }
+
+        // Fetch fresh sales data
+        const salesData = getData('sales') || [];
+
+        const totalDebt = salesData
+            .filter(sale => sale.paymentType === "credit" && getCreditKey(sale) === customerKey)
+            .reduce((sum, sale) => sum + (sale.remainingBalance || 0), 0);
+
+        if (payment > totalDebt) {
+            alert(`Payment is more than the ${totalDebt.toFixed(2)} this customer owes.`);
+            return;
+        }
+
+        let remainingPayment = payment;
+        const allocations = [];
+
+        /* ----------------------------------
+           APPLY PAYMENT TO CUSTOMER SALES
+        ----------------------------------- */
+
+        salesData.forEach(sale => {
+
+            if (
+                sale.paymentType === "credit" &&
+                getCreditKey(sale) === customerKey &&
+                sale.remainingBalance > 0 &&
+                remainingPayment > 0
+            ) {
+
+                // Pay off as much of this sale as the payment covers
+                const applied = Math.min(remainingPayment, sale.remainingBalance);
+
+                sale.paidAmount += applied;
+                sale.remainingBalance -= applied;
+                remainingPayment -= applied;
+                updateSaleStatus(sale);
+
+                allocations.push({ saleId: sale.id, amount: applied });
+            }
+        });
+
+        payments.push({
+            id: '_' + Date.now(),
+            date: new Date().toISOString(),
+            customerId: customers.some(c => c.id === customerKey) ? customerKey : null,
+            customerName: getCustomerDisplayName(customerKey),
+            amount: payment,
+            method,
+            allocations,
+            reversed: false,
+            reversedDate: null,
+            ...getStaffStamp(),
+            approvedBy: getApprovedBy(approver)
+        });
+
+        // Save updated sales and keep the Sales module's copy in step,
+        // otherwise the next sale would write the old balances back
+        setDataTogether({ sales: salesData, payments });
+        sales = salesData;
+
+        // Re-render affected modules
+        renderCredit();
+        renderReports();
+        renderDashboard();
+        renderPaymentHistory();
+        renderCustomers();
+
+        alert("Payment recorded successfully.");
+    });
+}
+
+
+/* =====================================================
+   4️⃣ PAYMENT HISTORY + REVERSAL
+   ===================================================== */
+
+const paymentHistory = document.getElementById('paymentHistory');
+const paymentHistoryCustomer = document.getElementById('paymentHistoryCustomer');
+const paymentHistoryTableBody = document.querySelector('#paymentHistoryTable tbody');
+
+function renderPaymentHistory() {
+
+    if (!paymentHistory) return;
+
+    if (!historyCustomer) {
+        paymentHistory.classList.add('hidden');
+        return;
+    }
+
+    paymentHistory.classList.remove('hidden');
+    paymentHistoryCustomer.textContent = getCustomerDisplayName(historyCustomer);
+    paymentHistoryTableBody.innerHTML = '';
+
+    const customerPayments = payments.filter(p => getCreditKey(p) === historyCustomer);
+
+    if (customerPayments.length === 0) {
+        paymentHistoryTableBody.innerHTML = `
+            <tr>
+                <td colspan="6">No payments recorded.</td>
+            </tr>
+        `;
+        return;
+    }
+
+    customerPayments.forEach(payment => {
+
+        // Show which sales the payment went to, e.g. "1/2/2025, 10:00 AM (₦150.00)"
+        const appliedTo = payment.allocations
+            .map(allocation => {
+                const sale = sales.find(s => s.id === allocation.saleId);
+                const label = sale ? formatDate(sale.date) : 'Deleted sale';
+                return `${label} (₦${allocation.amount.toFixed(2)})`;
+            })
+            .join('<br>');
+
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${formatDate(payment.date)}</td>
+            <td>${payment.amount.toFixed(2)}</td>
+            <td>${payment.method}</td>
+            <td>${appliedTo || '-'}</td>
+            <td>${payment.reversed ? `Reversed ${formatDate(payment.reversedDate)}` : 'Active'}</td>
+            <td>
+                ${payment.reversed ? '' : `<button class="reverse-payment-btn" data-id="${payment.id}">Reverse</button>`}
+            </td>
+        `;
+
+        paymentHistoryTableBody.appendChild(tr);
+    });
+}
+
+if (paymentHistoryTableBody) {
+
+    paymentHistoryTableBody.addEventListener('click', async function (e) {
+
+        if (!e.target.classList.contains('reverse-payment-btn')) return;
+
+        const payment = payments.find(p => p.id === e.target.dataset.id);
+        if (!payment || payment.reversed) return;
+
+        if (!(await requireOwner('reverse a credit payment'))) return;
+
+        if (!confirm(`Reverse this payment of ${payment.amount.toFixed(2)}? The balances it paid will be reopened.`)) return;
+
+        const salesData = getData('sales') || [];
+
+        // Put back exactly what this payment took off each sale
+        payment.allocations.forEach(allocation => {
+            const sale = salesData.find(s => s.id === allocation.saleId);
+            if (!sale) return;
+
+            sale.paidAmount -= allocation.amount;
+            sale.remainingBalance += allocation.amount;
+            updateSaleStatus(sale);
+        });
+
+        payment.reversed = true;
+        payment.reversedDate = new Date().toISOString();
+
+        setDataTogether({ sales: salesData, payments });
+        sales = salesData;
+
+        renderCredit();
+        renderReports();
+        renderDashboard();
+        renderPaymentHistory();
+        renderCustomers();
+    });
+}
+
+
+
+// ===============================
+// CUSTOMERS MODULE
+// ===============================
+
+/*
+ * Customer record:
+ * { id, name, phone, notes, creditLimit }
+ * creditLimit is null when the customer has no limit.
+ */
+
+// ----- DOM ELEMENTS -----
+const customerForm = document.getElementById('customerForm');
+const customersTableBody = document.querySelector('#customersTable tbody');
+const customerOptions = document.getElementById('customerOptions');
+
+// ----- STATE -----
+let customers = [];              // Filled from storage in startApp()
+let editingCustomerId = null;    // Tracks if we are editing
+
+
+/*
+ * normalizeCustomerName(name)
+ * "Mrs Ade", "mrs ade" and " Mrs  Ade " should all be the same customer.
+ */
+function normalizeCustomerName(name) {
+    return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function findCustomerByName(name) {
+    const key = normalizeCustomerName(name);
+    return customers.find(c => normalizeCustomerName(c.name) === key);
+}
+
+/*
+ * getCustomerBalance(customerId)
+ * How much the customer still owes across all their credit sales.
+ */
+function getCustomerBalance(customerId) {
+    return sales
+        .filter(sale => sale.paymentType === "credit" && sale.customerId === customerId)
+        .reduce((sum, sale) => sum + (sale.remainingBalance || 0), 0);
+}
+
+/*
+ * findOrCreateCustomer(name)
+ * Used by the credit sale flow. Returns the existing customer with this name,
+ * or asks to create a new one. Returns null if the cashier cancels.
+ */
+function findOrCreateCustomer(name) {
+
+    const existing = findCustomerByName(name);
+    if (existing) return existing;
+
+    const cleanName = name.trim().replace(/\s+/g, ' ');
+
+    if (!confirm(`"${cleanName}" is a new customer. Create a customer record?`)) return null;
+
+    const limitInput = prompt("Credit limit for this customer (leave blank for no limit):", "");
+    if (limitInput === null) return null;
+
+    const creditLimit = limitInput.trim() === '' ? null : parseFloat(limitInput);
+
+    if (creditLimit !== null && (isNaN(creditLimit) || creditLimit < 0)) {
+        alert("Invalid credit limit.");
+        return null;
+    }
+
+    const customer = { id: generateId(), name: cleanName, phone: '', notes: '', creditLimit };
+
+    customers.push(customer);
+    setData('customers', customers);
+    renderCustomers();
+
+    return customer;
+}
+
+
+// ===============================
+// ADD / EDIT CUSTOMER
+// ===============================
+
+customerForm.addEventListener('submit', function (e) {
+
+    e.preventDefault();
+
+    const name = document.getElementById('customerFormName').value.trim().replace(/\s+/g, ' ');
+    const phone = document.getElementById('customerPhone').value.trim();
+    const notes = document.getElementById('customerNotes').value.trim();
+    const limitValue = document.getElementById('customerCreditLimit').value.trim();
+    const creditLimit = limitValue === '' ? null : parseFloat(limitValue);
+
+    if (!name) {
+        alert("Please enter the customer's name.");
+        return;
+    }
+
+    if (creditLimit !== null && (isNaN(creditLimit) || creditLimit < 0)) {
+        alert("Invalid credit limit.");
+        return;
+    }
+
+    // No two customers with the same name
+    const duplicate = findCustomerByName(name);
+    if (duplicate && duplicate.id !== editingCustomerId) {
+        alert(`A customer called "${duplicate.name}" already exists.`);
+        return;
+    }
+
+    if (editingCustomerId) {
+        // Edit existing customer
+        const index = customers.findIndex(c => c.id === editingCustomerId);
+        customers[index] = { ...customers[index], name, phone, notes, creditLimit };
+        editingCustomerId = null;
+    } else {
+        // Add new customer
+        customers.push({ id: generateId(), name, phone, notes, creditLimit });
+    }
+
+    setData('customers', customers);
+
+    customerForm.reset();
+    document.getElementById('customerFormTitle').textContent = 'Add New Customer';
+    document.getElementById('customerSubmitBtn').textContent = 'Add Customer';
+
+    renderCustomers();
+    renderCredit();
+});
+
+
+// ===============================
+// DELETE & EDIT BUTTON HANDLING
+// ===============================
+
+customersTableBody.addEventListener('click', async function (e) {
+
+    const id = e.target.dataset.id;
+    const index = customers.findIndex(c => c.id === id);
+    if (index === -1) return;
+
+    const customer = customers[index];
+
+    // DELETE
+    if (e.target.classList.contains('delete-customer-btn')) {
+
+        // Keep customers that have sales, otherwise their debts lose their owner
+        if (sales.some(sale => sale.customerId === id)) {
+            alert("This customer has sales on record and can't be deleted.");
+            return;
+        }
+
+        if (!(await requireOwner('delete a customer'))) return;
+        if (!confirm(`Delete customer "${customer.name}"?`)) return;
+
+        customers.splice(index, 1);
+        setData('customers', customers);
+        renderCustomers();
+    }
+
+    // EDIT
+    if (e.target.classList.contains('edit-customer-btn')) {
+
+        document.getElementById('customerFormName').value = customer.name;
+        document.getElementById('customerPhone').value = customer.phone;
+        document.getElementById('customerNotes').value = customer.notes;
+        document.getElementById('customerCreditLimit').value =
+            customer.creditLimit === null ? '' : customer.creditLimit;
+
+        document.getElementById('customerFormTitle').textContent = 'Edit Customer';
+        document.getElementById('customerSubmitBtn').textContent = 'Save Customer';
+
+        editingCustomerId = customer.id;
+    }
+});
+
+
+// ===============================
+// RENDER CUSTOMERS
+// ===============================
+
+function renderCustomers() {
+
+    customersTableBody.innerHTML = '';
+
+    customers.forEach(customer => {
+
+        const balance = getCustomerBalance(customer.id);
+        const overLimit = customer.creditLimit !== null && balance > customer.creditLimit;
+
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${escapeHtml(customer.name)}</td>
+            <td>${escapeHtml(customer.phone || '-')}</td>
+            <td>${customer.creditLimit === null ? 'No limit' : customer.creditLimit.toFixed(2)}</td>
+            <td class="${overLimit ? 'over-limit' : ''}">${balance.toFixed(2)}</td>
+            <td>${escapeHtml(customer.notes || '-')}</td>
+            <td>
+                <button class="edit-customer-btn" data-id="${customer.id}">Edit</button>
+                <button class="delete-customer-btn" data-id="${customer.id}">Delete</button>
+            </td>
+        `;
+
+        customersTableBody.appendChild(tr);
+    });
+
+    // Suggestions for the credit sale "Customer Name" field
+    customerOptions.innerHTML = customers
+        .map(customer => `<option value="${escapeHtml(customer.name)}"></option>`)
+        .join('');
+}
+
+
 
 // ===============================
-// PAYMENT TYPE TOGGLE
+// SUPPLIERS & PURCHASE ORDERS MODULE
+// ===============================
+
+/*
+ * The mirror image of Customers + Credit, for goods coming IN.
+ *
+ * suppliers:        { id, name, phone, notes }
+ * purchaseOrders:   {
+ *     id, date, supplierId, supplierName, status,
+ *     lines: [{ productId, productName, quantity, unitCost, receivedQuantity }],
+ *     total,          // value ordered
+ *     receivedValue,  // value received so far (this is what we owe for)
+ *     paidAmount      // paid to the supplier against this PO
+ * }
+ * supplierPayments: { id, date, supplierId, supplierName, amount, method,
+ *                     allocations: [{ purchaseOrderId, amount }],
+ *                     reversed, reversedDate }   // set when a mistaken payment is undone
+ */
+
+// ----- DOM ELEMENTS -----
+const supplierForm = document.getElementById('supplierForm');
+const suppliersTableBody = document.querySelector('#suppliersTable tbody');
+const purchaseOrderForm = document.getElementById('purchaseOrderForm');
+const poSupplierSelect = document.getElementById('poSupplier');
+const poProductSelect = document.getElementById('poProduct');
+const addPoLineBtn = document.getElementById('addPoLineBtn');
+const poLinesTableBody = document.querySelector('#poLinesTable tbody');
+const poTotalEl = document.getElementById('poTotal');
+const purchaseOrdersTableBody = document.querySelector('#purchaseOrdersTable tbody');
+const supplierPaymentsTableBody = document.querySelector('#supplierPaymentsTable tbody');
+
+// ----- STATE -----
+let suppliers = [];            // Filled from storage in startApp()
+let purchaseOrders = [];
+let supplierPayments = [];
+let editingSupplierId = null;
+let poLines = [];              // lines of the purchase order being raised
+
+
+/*
+ * getSupplierPayable(supplierId)
+ * What we owe a supplier: goods received minus what we've paid.
+ */
+function getSupplierPayable(supplierId) {
+    return purchaseOrders
+        .filter(po => po.supplierId === supplierId)
+        .reduce((sum, po) => sum + (po.receivedValue - po.paidAmount), 0);
+}
+
+function updatePurchaseOrderStatus(po) {
+    const received = po.lines.reduce((sum, line) => sum + line.receivedQuantity, 0);
+    const ordered = po.lines.reduce((sum, line) => sum + line.quantity, 0);
+
+    if (received === 0) po.status = 'Ordered';
+    else if (received < ordered) po.status = 'Partially Received';
+    else po.status = 'Received';
+}
+
+
+// ===============================
+// ADD / EDIT SUPPLIER
+// ===============================
+
+supplierForm.addEventListener('submit', function (e) {
+
+    e.preventDefault();
+
+    const name = document.getElementById('supplierName').value.trim();
+    const phone = document.getElementById('supplierPhone').value.trim();
+    const notes = document.getElementById('supplierNotes').value.trim();
+
+    if (!name) {
+        alert("Please enter the supplier's name.");
+        return;
+    }
+
+    if (editingSupplierId) {
+        const index = suppliers.findIndex(s => s.id === editingSupplierId);
+        suppliers[index] = { ...suppliers[index], name, phone, notes };
+        editingSupplierId = null;
+    } else {
+        suppliers.push({ id: generateId(), name, phone, notes });
+    }
+
+    setData('suppliers', suppliers);
+
+    supplierForm.reset();
+    document.getElementById('supplierSubmitBtn').textContent = 'Add Supplier';
+
+    renderSuppliers();
+});
+
+
+// ===============================
+// SUPPLIER TABLE BUTTONS (EDIT, DELETE, PAY)
+// ===============================
+
+suppliersTableBody.addEventListener('click', async function (e) {
+
+    const id = e.target.dataset.id;
+    const index = suppliers.findIndex(s => s.id === id);
+    if (index === -1) return;
+
+    const supplier = suppliers[index];
+
+    // DELETE
+    if (e.target.classList.contains('delete-supplier-btn')) {
+
+        if (purchaseOrders.some(po => po.supplierId === id)) {
+            alert("This supplier has purchase orders on record and can't be deleted.");
+            return;
+        }
+
+        if (!(await requireOwner('delete a supplier'))) return;
+        if (!confirm(`Delete supplier "${supplier.name}"?`)) return;
+
+        suppliers.splice(index, 1);
+        setData('suppliers', suppliers);
+        renderSuppliers();
+    }
+
+    // EDIT
+    if (e.target.classList.contains('edit-supplier-btn')) {
+        document.getElementById('supplierName').value = supplier.name;
+        document.getElementById('supplierPhone').value = supplier.phone;
+        document.getElementById('supplierNotes').value = supplier.notes;
+        document.getElementById('supplierSubmitBtn').textContent = 'Save Supplier';
+        editingSupplierId = supplier.id;
+    }
+
+    // PAY (same flow as Record Payment in the Credit module)
+    if (e.target.classList.contains('pay-supplier-btn')) {
+
+        const payable = getSupplierPayable(id);
+
+        if (payable <= 0) {
+            alert("Nothing is owed to this supplier.");
+            return;
+        }
+
+        const approver = await requireOwner('record a supplier payment');
+        if (!approver) return;
+
+        const amount = parseFloat(prompt(`Amount to pay ${supplier.name} (owed: ${payable.toFixed(2)}):`));
+
+        if (isNaN(amount) || amount <= 0) {
+            alert("Invalid payment amount.");
+            return;
+        }
+
+        if (amount > payable) {
+            alert(`Payment is more than the ${payable.toFixed(2)} owed to this supplier.`);
+            return;
+        }
+
+        const method = (prompt("Payment method (cash / transfer):", "transfer") || '').trim().toLowerCase();
+
+        if (method !== 'cash' && method !== 'transfer') {
+            alert("Payment method must be cash or transfer.");
+            return;
+        }
+
+        // Pay off the oldest purchase orders first
+        let remainingPayment = amount;
+        const allocations = [];
+
+        purchaseOrders.forEach(po => {
+            const owed = po.receivedValue - po.paidAmount;
+
+            if (po.supplierId !== id || owed <= 0 || remainingPayment <= 0) return;
+
+            const applied = Math.min(remainingPayment, owed);
+            po.paidAmount += applied;
+            remainingPayment -= applied;
+
+            allocations.push({ purchaseOrderId: po.id, amount: applied });
+        });
+
+        supplierPayments.push({
+            id: generateId(),
+            date: new Date().toISOString(),
+            supplierId: id,
+            supplierName: supplier.name,
+            amount,
+            method,
+            allocations,
+            reversed: false,
+            reversedDate: null,
+            ...getStaffStamp(),
+            approvedBy: getApprovedBy(approver)
+        });
+
+        setDataTogether({ purchaseOrders, supplierPayments });
+
+        renderSuppliers();
+        renderPurchaseOrders();
+
+        alert("Supplier payment recorded.");
+    }
+});
+
+
+// ===============================
+// RAISE PURCHASE ORDER
+// ===============================
+
+addPoLineBtn.addEventListener('click', function () {
+
+    const product = products.find(p => p.id === poProductSelect.value);
+    const quantity = parseInt(document.getElementById('poQuantity').value);
+    const unitCost = parseFloat(document.getElementById('poUnitCost').value);
+
+    if (!product) {
+        alert("Please choose a product.");
+        return;
+    }
+
+    if (isNaN(quantity) || quantity <= 0 || isNaN(unitCost) || unitCost < 0) {
+        alert("Please enter a valid quantity and unit cost.");
+        return;
+    }
+
+    poLines.push({
+        productId: product.id,
+        productName: product.name,
+        quantity,
+        unitCost,
+        receivedQuantity: 0
+    });
+
+    document.getElementById('poQuantity').value = '';
+    document.getElementById('poUnitCost').value = '';
+
+    renderPoLines();
+});
+
+// Suggest the current cost when a product is picked
+poProductSelect.addEventListener('change', function () {
+    const product = products.find(p => p.id === this.value);
+    if (product) document.getElementById('poUnitCost').value = product.costPrice;
+});
+
+poLinesTableBody.addEventListener('click', function (e) {
+    if (!e.target.classList.contains('remove-po-line-btn')) return;
+
+    poLines.splice(parseInt(e.target.dataset.index), 1);
+    renderPoLines();
+});
+
+purchaseOrderForm.addEventListener('submit', function (e) {
+
+    e.preventDefault();
+
+    const supplier = suppliers.find(s => s.id === poSupplierSelect.value);
+
+    if (!supplier) {
+        alert("Please choose a supplier.");
+        return;
+    }
+
+    if (poLines.length === 0) {
+        alert("Please add at least one product to the purchase order.");
+        return;
+    }
+
+    purchaseOrders.push({
+        id: generateId(),
+        date: new Date().toISOString(),
+        supplierId: supplier.id,
+        supplierName: supplier.name,
+        status: 'Ordered',
+        lines: poLines,
+        total: poLines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0),
+        receivedValue: 0,
+        paidAmount: 0
+    });
+
+    setData('purchaseOrders', purchaseOrders);
+
+    poLines = [];
+    purchaseOrderForm.reset();
+
+    renderPoLines();
+    renderPurchaseOrders();
+
+    alert("Purchase order created.");
+});
+
+
+// ===============================
+// RECEIVE PURCHASE ORDER (FULLY OR PARTLY)
+// ===============================
+
+purchaseOrdersTableBody.addEventListener('click', function (e) {
+
+    if (!e.target.classList.contains('receive-po-btn')) return;
+
+    const po = purchaseOrders.find(p => p.id === e.target.dataset.id);
+    if (!po) return;
+
+    let receivedSomething = false;
+
+    // Ask for each line that is still outstanding
+    for (const line of po.lines) {
+
+        const outstanding = line.quantity - line.receivedQuantity;
+        if (outstanding <= 0) continue;
+
+        const input = prompt(`Receive how many ${line.productName}? (outstanding: ${outstanding})`, outstanding);
+        if (input === null) break; // cancel stops receiving, keeps what was entered so far
+
+        const quantity = parseInt(input);
+
+        if (isNaN(quantity) || quantity < 0 || quantity > outstanding) {
+            alert(`Invalid quantity for ${line.productName}. It must be between 0 and ${outstanding}.`);
+            continue;
+        }
+
+        if (quantity === 0) continue;
+
+        const product = products.find(p => p.id === line.productId);
+
+        if (!product) {
+            alert(`${line.productName} no longer exists and was skipped.`);
+            continue;
+        }
+
+        // Receiving adds stock at the PO's unit cost
+        changeStock(product, quantity, 'restock', `PO ${po.id}`, line.unitCost);
+
+        line.receivedQuantity += quantity;
+        po.receivedValue += quantity * line.unitCost;
+        receivedSomething = true;
+    }
+
+    if (!receivedSomething) return;
+
+    updatePurchaseOrderStatus(po);
+
+    saveStock({ purchaseOrders });
+
+    renderProducts();
+    renderDashboard();
+    renderPurchaseOrders();
+    renderSuppliers();
+});
+
+
+// ===============================
+// RENDER SUPPLIERS & PURCHASE ORDERS
+// ===============================
+
+function renderSuppliers() {
+
+    suppliersTableBody.innerHTML = '';
+
+    suppliers.forEach(supplier => {
+
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${supplier.name}</td>
+            <td>${supplier.phone || '-'}</td>
+            <td>${getSupplierPayable(supplier.id).toFixed(2)}</td>
+            <td>${supplier.notes || '-'}</td>
+            <td>
+                <button class="edit-supplier-btn" data-id="${supplier.id}">Edit</button>
+                <button class="delete-supplier-btn" data-id="${supplier.id}">Delete</button>
+                <button class="pay-supplier-btn" data-id="${supplier.id}">Pay</button>
+            </td>
+        `;
+
+        suppliersTableBody.appendChild(tr);
+    });
+
+    // Supplier dropdown on the purchase order form
+    poSupplierSelect.innerHTML = '<option value="">Choose supplier</option>' + suppliers
+        .map(supplier => `<option value="${supplier.id}">${supplier.name}</option>`)
+        .join('');
+
+    renderSupplierPayments();
+}
+
+function renderPoLines() {
+
+    // Product dropdown follows the product list
+    const selected = poProductSelect.value;
+    poProductSelect.innerHTML = '<option value="">Choose product</option>' + products
+        .map(product => `<option value="${product.id}">${product.name}</option>`)
+        .join('');
+    poProductSelect.value = selected;
+
+    poLinesTableBody.innerHTML = '';
+
+    poLines.forEach((line, index) => {
+
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${line.productName}</td>
+            <td>${line.quantity}</td>
+            <td>${line.unitCost}</td>
+            <td>${(line.quantity * line.unitCost).toFixed(2)}</td>
+            <td>
+                <button type="button" class="remove-po-line-btn" data-index="${index}">Remove</button>
+            </td>
+        `;
+
+        poLinesTableBody.appendChild(tr);
+    });
+
+    poTotalEl.textContent = poLines
+        .reduce((sum, line) => sum + line.quantity * line.unitCost, 0)
+        .toFixed(2);
+}
+
+function renderPurchaseOrders() {
+
+    purchaseOrdersTableBody.innerHTML = '';
+
+    if (purchaseOrders.length === 0) {
+        purchaseOrdersTableBody.innerHTML = `
+            <tr>
+                <td colspan="7">No purchase orders yet.</td>
+            </tr>
+        `;
+        return;
+    }
+
+    purchaseOrders.forEach(po => {
+
+        // "Rice 10/20" = received / ordered
+        const itemsList = po.lines
+            .map(line => `${line.productName} ${line.receivedQuantity}/${line.quantity} @ ${line.unitCost}`)
+            .join('<br>');
+
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${formatDate(po.date)}</td>
+            <td>${po.supplierName}</td>
+            <td>${itemsList}</td>
+            <td>${po.total.toFixed(2)}</td>
+            <td>${(po.receivedValue - po.paidAmount).toFixed(2)}</td>
+            <td>${po.status}</td>
+            <td>
+                ${po.status === 'Received' ? '' : `<button class="receive-po-btn" data-id="${po.id}">Receive</button>`}
+            </td>
+        `;
+
+        purchaseOrdersTableBody.appendChild(tr);
+    });
+}
+
+function renderSupplierPayments() {
+
+    supplierPaymentsTableBody.innerHTML = '';
+
+    if (supplierPayments.length === 0) {
+        supplierPaymentsTableBody.innerHTML = `
+            <tr>
+                <td colspan="6">No supplier payments yet.</td>
+            </tr>
+        `;
+        return;
+    }
+
+    supplierPayments.forEach(payment => {
+
+        const tr = document.createElement('tr');
+
+        tr.innerHTML = `
+            <td>${formatDate(payment.date)}</td>
+            <td>${escapeHtml(payment.supplierName)}</td>
+            <td>${payment.amount.toFixed(2)}</td>
+            <td>${payment.method}</td>
+            <td>${payment.reversed ? `Reversed ${formatDate(payment.reversedDate)}` : 'Active'}</td>
+            <td>
+                ${payment.reversed ? '' : `<button class="reverse-supplier-payment-btn" data-id="${payment.id}">Reverse</button>`}
+            </td>
+        `;
+
+        supplierPaymentsTableBody.appendChild(tr);
+    });
+}
+
+// REVERSE a mistaken supplier payment (same as reversing a credit payment)
+supplierPaymentsTableBody.addEventListener('click', async function (e) {
+
+    if (!e.target.classList.contains('reverse-supplier-payment-btn')) return;
+
+    const payment = supplierPayments.find(p => p.id === e.target.dataset.id);
+    if (!payment || payment.reversed) return;
+
+    if (!(await requireOwner('reverse a supplier payment'))) return;
+
+    if (!confirm(`Reverse this payment of ${payment.amount.toFixed(2)} to ${payment.supplierName}? What it paid will be owed again.`)) return;
+
+    // Put back exactly what this payment took off each purchase order
+    payment.allocations.forEach(allocation => {
+        const po = purchaseOrders.find(p => p.id === allocation.purchaseOrderId);
+        if (po) po.paidAmount -= allocation.amount;
+    });
+
+    payment.reversed = true;
+    payment.reversedDate = new Date().toISOString();
+
+    setDataTogether({ purchaseOrders, supplierPayments });
+
+    renderSuppliers();
+    renderPurchaseOrders();
+});
+
+
+
 // ===============================
+// AUDIT LOG MODULE
+// ===============================
+
+/*
+ * The log itself is written by setData() in storage.js - every create,
+ * update and delete of products, sales, expenses, payments and supplier
+ * payments lands there
+ * with a copy of the record before and after. This module shows it, and
+ * lets an owner archive old entries.
+ */
+
+// ----- DOM ELEMENTS -----
+const auditEntitySelect = document.getElementById('auditEntity');
+const auditPeriodSelect = document.getElementById('auditPeriod');
+const auditCustomRange = document.getElementById('auditCustomRange');
+const auditFromInput = document.getElementById('auditFrom');
+const auditToInput = document.getElementById('auditTo');
+const auditInfo = document.getElementById('auditInfo');
+const auditTableBody = document.querySelector('#auditTable tbody');
+const auditNewerBtn = document.getElementById('auditNewerBtn');
+const auditOlderBtn = document.getElementById('auditOlderBtn');
+const archiveAuditBtn = document.getElementById('archiveAuditBtn');
+
+// Entries drawn at a time, the table gets slow with thousands of rows
+const AUDIT_PAGE_SIZE = 100;
+
+// ----- STATE -----
+let auditPage = 0; // 0 = the newest entries
+
+const AUDIT_ENTITY_LABELS = {
+    products: 'Product',
+    sales: 'Sale',
+    expenses: 'Expense',
+    payments: 'Payment',
+    supplierPayments: 'Supplier payment'
+};
+
+// A name people recognise for the record, e.g. "Coke" or "#000012"
+function describeAuditRecord(entry) {
 
-paymentTypeSelect.addEventListener('change', function () {
-    if (this.value === 'credit') {
-        customerField.style.display = 'block';
-    } else {
-        customerField.style.display = 'none';
-        customerNameInput.value = '';
+    const record = entry.after || entry.before || {};
+
+    if (entry.entity === 'products') return record.name;
+    if (entry.entity === 'sales') return formatReceiptNumber(record.receiptNumber);
+    if (entry.entity === 'expenses') return `${record.title} (${record.amount})`;
+    if (entry.entity === 'payments') return `${record.customerName} (${record.amount})`;
+    if (entry.entity === 'supplierPayments') return `${record.supplierName} (${record.amount})`;
+
+    return entry.recordId;
+}
+
+function formatAuditValue(value) {
+    if (value === undefined || value === null) return '-';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// "sellPrice: 20 → 25" for every field an update changed (one line each)
+function describeAuditChanges(entry) {
+
+    if (entry.action !== 'update') {
+        return [entry.action === 'create' ? 'Added' : 'Removed'];
     }
-});
 
+    const fields = new Set([...Object.keys(entry.before), ...Object.keys(entry.after)]);
 
-// ===============================
-// RENDER SALES
-// ===============================
+    return Array.from(fields)
+        .filter(field => JSON.stringify(entry.before[field]) !== JSON.stringify(entry.after[field]))
+        .map(field => {
+            const before = formatAuditValue(entry.before[field]);
+            const after = formatAuditValue(entry.after[field]);
 
-function renderSales() {
+            // Long values (item lists, cost layers) are only in the full details
+            return before.length + after.length > 80
+                ? `${field}: changed`
+                : `${field}: ${before} → ${after}`;
+        });
+}
 
-    salesTableBody.innerHTML = '';
+function getSelectedAuditRange() {
 
-    sales.forEach(sale => {
+    if (auditPeriodSelect.value === 'custom') {
+        return getCustomRange(auditFromInput.value, auditToInput.value);
+    }
+
+    return getPresetRange(auditPeriodSelect.value);
+}
+
+function renderAudit() {
+
+    // The log only grows, so it is read when someone is looking at it
+    if (!document.getElementById('auditSection').classList.contains('active')) return;
+
+    const entity = auditEntitySelect.value;
+    const range = getSelectedAuditRange();
+    const matches = entry => (!entity || entry.entity === entity) && (!range || isDateInRange(entry.date, range));
+
+    let { entries, total } = getAuditPage(matches, auditPage * AUDIT_PAGE_SIZE, AUDIT_PAGE_SIZE);
+
+    // The page we were on is gone (entries archived in another tab)
+    if (auditPage > 0 && !entries.length) {
+        auditPage = Math.max(0, Math.ceil(total / AUDIT_PAGE_SIZE) - 1);
+        ({ entries, total } = getAuditPage(matches, auditPage * AUDIT_PAGE_SIZE, AUDIT_PAGE_SIZE));
+    }
+
+    auditTableBody.innerHTML = '';
+
+    const first = auditPage * AUDIT_PAGE_SIZE;
+
+    auditInfo.textContent = total > AUDIT_PAGE_SIZE
+        ? `Showing changes ${first + 1}-${first + entries.length} of ${total}, newest first.`
+        : `${total} change(s).`;
+
+    auditNewerBtn.disabled = auditPage === 0;
+    auditOlderBtn.disabled = first + entries.length >= total;
+
+    entries.forEach(entry => {
 
         const tr = document.createElement('tr');
+        tr.classList.add(`audit-${entry.action}`);
 
         tr.innerHTML = `
-            <td>${sale.date}</td>
-            <td>${sale.productName}</td>
-            <td>${sale.quantity}</td>
-            <td>${sale.salePrice}</td>
-            <td>${sale.total}</td>
-            <td>${sale.paymentType}</td>
-            <td>${sale.customerName || '-'}</td>
+            <td>${formatDate(entry.date)}</td>
+            <td>${AUDIT_ENTITY_LABELS[entry.entity] || entry.entity}</td>
+            <td class="audit-record"></td>
+            <td>${entry.action}</td>
+            <td class="audit-changes"></td>
+            <td class="audit-staff"></td>
             <td>
-                <button class="edit-sale-btn" data-id="${sale.id}">Edit</button>
-                <button class="delete-sale-btn" data-id="${sale.id}">Delete</button>
+                <details>
+                    <summary>View</summary>
+                    <div class="audit-details">
+                        <strong>Before</strong>
+                        <pre></pre>
+                        <strong>After</strong>
+                        <pre></pre>
+                    </div>
+                </details>
             </td>
         `;
 
-        salesTableBody.appendChild(tr);
+        // Filled as text so record values can't turn into HTML
+        tr.querySelector('.audit-record').textContent = describeAuditRecord(entry);
+        tr.querySelector('.audit-staff').textContent = entry.staffName || '-';
+
+        const changesCell = tr.querySelector('.audit-changes');
+        describeAuditChanges(entry).forEach((line, index) => {
+            if (index > 0) changesCell.appendChild(document.createElement('br'));
+            changesCell.appendChild(document.createTextNode(line));
+        });
+
+        const [beforeEl, afterEl] = tr.querySelectorAll('pre');
+        beforeEl.textContent = entry.before ? JSON.stringify(entry.before, null, 2) : '(none)';
+        afterEl.textContent = entry.after ? JSON.stringify(entry.after, null, 2) : '(none)';
+
+        auditTableBody.appendChild(tr);
     });
 }
 
-renderSales();
+// New filters start again from the newest entries
+function renderAuditFromStart() {
+    auditPage = 0;
+    renderAudit();
+}
+
+auditEntitySelect.addEventListener('change', renderAuditFromStart);
+
+auditPeriodSelect.addEventListener('change', function () {
+    auditCustomRange.classList.toggle('hidden', this.value !== 'custom');
+    renderAuditFromStart();
+});
+
+auditFromInput.addEventListener('change', renderAuditFromStart);
+auditToInput.addEventListener('change', renderAuditFromStart);
+
+auditNewerBtn.addEventListener('click', function () {
+    auditPage = Math.max(0, auditPage - 1);
+    renderAudit();
+});
+
+auditOlderBtn.addEventListener('click', function () {
+    auditPage++;
+    renderAudit();
+});
+
+// ARCHIVE: years of entries slow the app down, because the whole log is
+// loaded when it opens. Old entries are downloaded to a file, then removed.
+archiveAuditBtn.addEventListener('click', async function () {
+
+    if (!(await requireOwner('archive old audit log entries'))) return;
+
+    const months = parseInt(prompt("Archive entries older than how many months?", "12"));
+
+    if (isNaN(months) || months < 1) {
+        alert("Please enter a number of months (1 or more).");
+        return;
+    }
+
+    const cutoff = new Date();
+    cutoff.setMonth(cutoff.getMonth() - months);
+    const beforeDate = cutoff.toISOString();
+
+    const { entries } = getAuditPage(entry => entry.date < beforeDate, 0, Infinity);
+
+    if (!entries.length) {
+        alert("There are no entries that old.");
+        return;
+    }
+
+    if (!confirm(`Download the ${entries.length} entries from before ${formatDate(beforeDate)} to a file and remove them from the log?`)) return;
+
+    // Oldest first in the file, like the log itself
+    downloadFile(`audit-archive-${todayStamp()}.json`, JSON.stringify(entries.reverse(), null, 2), 'application/json');
+
+    const removed = await archiveAuditLog(beforeDate);
+
+    renderAuditFromStart();
+
+    if (removed) alert(`${removed} entries archived. Keep the downloaded file somewhere safe.`);
+});
+
+// The log grows behind the scenes, so refresh it whenever the tab is opened
+document.querySelector('[data-section="auditSection"]').addEventListener('click', renderAudit);
 
 
 
 // ===============================
-// EXPENSES MODULE
+// CSV IMPORT / EXPORT MODULE
 // ===============================
 
+// ----- DOM ELEMENTS -----
+const exportProductsBtn = document.getElementById('exportProductsBtn');
+const exportSalesBtn = document.getElementById('exportSalesBtn');
+const exportExpensesBtn = document.getElementById('exportExpensesBtn');
+const exportFromInput = document.getElementById('exportFrom');
+const exportToInput = document.getElementById('exportTo');
+const importFileInput = document.getElementById('importFile');
+const importMapping = document.getElementById('importMapping');
+const importPreviewTableBody = document.querySelector('#importPreviewTable tbody');
+const importDuplicateSelect = document.getElementById('importDuplicates');
+const importProductsBtn = document.getElementById('importProductsBtn');
+const importSummary = document.getElementById('importSummary');
+
 // ----- STATE -----
-let expenses = getData('expenses'); // Already returns [] if empty
-let editingExpenseId = null;        // Track edit state
+let importRows = [];     // parsed CSV rows (first row = headers)
 
-// ----- DOM ELEMENTS -----
-const expenseForm = document.getElementById('expenseForm');
-const expensesTableBody = document.querySelector('#expensesTable tbody');
+// Product fields that can be imported, and header names we recognise for each
+const IMPORT_FIELDS = {
+    name: { label: 'Name', guesses: ['name', 'product', 'product name', 'item'] },
+    sku: { label: 'SKU / Barcode (optional)', guesses: ['sku', 'barcode', 'code', 'sku / barcode'] },
+    category: { label: 'Category (optional)', guesses: ['category', 'group', 'department'] },
+    quantity: { label: 'Quantity', guesses: ['quantity', 'qty', 'stock'] },
+    costPrice: { label: 'Cost Price', guesses: ['cost price', 'cost', 'costprice', 'unit cost'] },
+    sellPrice: { label: 'Sell Price', guesses: ['sell price', 'price', 'sellprice', 'selling price'] }
+};
 
 
 // ===============================
-// ADD / EDIT EXPENSE
+// DOWNLOAD HELPERS
 // ===============================
 
-expenseForm.addEventListener('submit', function (e) {
+// toCsv() and parseCsv() are in csv.js
 
-    e.preventDefault();
+/*
+ * downloadFile(filename, content, type)
+ * Makes the browser download a text file.
+ */
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before freeing it
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-    const title = document.getElementById('expenseTitle').value.trim();
-    const amount = parseFloat(document.getElementById('expenseAmount').value);
+function downloadCsv(filename, rows) {
+    // The byte-order mark makes Excel read ₦ and other characters correctly
+    downloadFile(filename, '﻿' + toCsv(rows), 'text/csv;charset=utf-8');
+}
 
-    // Basic validation
-    if (!title || isNaN(amount) || amount <= 0) {
-        alert("Please enter valid expense details.");
+function todayStamp() {
+    return getBucketKey(new Date(), 'day');
+}
+
+
+// ===============================
+// EXPORT
+// ===============================
+
+exportProductsBtn.addEventListener('click', function () {
+
+    const rows = [['Name', 'SKU', 'Category', 'Quantity', 'Cost Price', 'Sell Price', 'Costing Method']];
+
+    products.forEach(product => {
+        rows.push([
+            product.name,
+            product.sku || '',
+            product.category || '',
+            product.quantity,
+            product.costPrice,
+            product.sellPrice,
+            COSTING_METHODS[product.costingMethod] || 'FIFO'
+        ]);
+    });
+
+    downloadCsv(`products-${todayStamp()}.csv`, rows);
+});
+
+exportSalesBtn.addEventListener('click', function () {
+
+    // Optional date range (both dates needed)
+    const range = getCustomRange(exportFromInput.value, exportToInput.value);
+
+    if ((exportFromInput.value || exportToInput.value) && !range) {
+        alert("Please choose a valid From and To date, or leave both empty.");
         return;
     }
 
-    const expense = {
-        id: editingExpenseId || '_' + Date.now(),
-        title,
-        amount,
-        date: new Date().toLocaleString()
-    };
+    // One row per item, so multi-item sales stay readable in a spreadsheet
+    const rows = [[
+        'Date', 'Receipt', 'Sale ID', 'Product', 'Quantity', 'List Price', 'Discount', 'Unit Price', 'Line Total', 'Tax Rate', 'Tax', 'Unit Cost',
+        'Sale Total', 'Payment Type', 'Customer', 'Paid', 'Balance', 'Status', 'Staff'
+    ]];
+
+    sales
+        .filter(sale => !range || isDateInRange(sale.date, range))
+        .forEach(sale => {
+            getSaleItems(sale).forEach(item => {
+                rows.push([
+                    formatDate(sale.date),
+                    formatReceiptNumber(sale.receiptNumber),
+                    sale.id,
+                    item.productName,
+                    item.quantity,
+                    item.originalPrice !== undefined ? item.originalPrice : item.salePrice,
+                    roundMoney((item.discount || 0) + (item.saleDiscount || 0)),
+                    item.salePrice,
+                    item.total,
+                    item.taxRate ? `${item.taxName} ${item.taxRate}%` : '',
+                    item.taxAmount || 0,
+                    typeof item.costPrice === 'number' ? item.costPrice.toFixed(2) : '',
+                    sale.total,
+                    sale.paymentType,
+                    sale.customerName || '',
+                    sale.paidAmount,
+                    sale.remainingBalance,
+                    sale.status,
+                    sale.staffName || ''
+                ]);
+            });
+        });
 
-    if (editingExpenseId) {
-        // EDIT MODE
-        const index = expenses.findIndex(exp => exp.id === editingExpenseId);
-        expenses[index] = expense;
-        editingExpenseId = null;
-    } else {
-        // ADD MODE
-        expenses.push(expense);
-    }
+    const suffix = range ? `${exportFromInput.value}-to-${exportToInput.value}` : todayStamp();
+    downloadCsv(`sales-${suffix}.csv`, rows);
+});
 
-    setData('expenses', expenses);
+exportExpensesBtn.addEventListener('click', function () {
 
-    expenseForm.reset();
-    renderExpenses();
-    renderReports(); // update reports after expense change
+    const rows = [['Date', 'Title', 'Amount']];
+
+    expenses.forEach(expense => {
+        rows.push([formatDate(expense.date), expense.title, expense.amount]);
+    });
+
+    downloadCsv(`expenses-${todayStamp()}.csv`, rows);
 });
 
 
 // ===============================
-// DELETE & EDIT BUTTON HANDLING
+// IMPORT PRODUCTS: READ FILE + COLUMN MAPPING
 // ===============================
 
-expensesTableBody.addEventListener('click', function (e) {
+importFileInput.addEventListener('change', function () {
 
-    const id = e.target.dataset.id;
-    const index = expenses.findIndex(exp => exp.id === id);
-    if (index === -1) return;
+    const file = this.files[0];
+    if (!file) return;
 
-    const expense = expenses[index];
+    const reader = new FileReader();
 
-    // DELETE
-    if (e.target.classList.contains('delete-expense-btn')) {
+    reader.onload = () => {
+        importRows = parseCsv(reader.result);
 
-        if (!confirm("Delete this expense?")) return;
+        if (importRows.length < 2) {
+            alert("The file has no product rows.");
+            importRows = [];
+        }
 
-        expenses.splice(index, 1);
-        setData('expenses', expenses);
+        renderImportMapping();
+        renderImportPreview();
+    };
 
-        renderExpenses();
-        renderReports();
-    }
+    reader.readAsText(file);
+});
 
-    // EDIT
-    if (e.target.classList.contains('edit-expense-btn')) {
+/*
+ * renderImportMapping()
+ * One dropdown per product field, listing the CSV's columns.
+ * Columns whose header looks right are picked automatically.
+ */
+function renderImportMapping() {
 
-        document.getElementById('expenseTitle').value = expense.title;
-        document.getElementById('expenseAmount').value = expense.amount;
+    importMapping.innerHTML = '';
 
-        editingExpenseId = expense.id;
+    if (importRows.length === 0) return;
+
+    const headers = importRows[0];
+
+    Object.entries(IMPORT_FIELDS).forEach(([field, { label, guesses }]) => {
+
+        const guessed = headers.findIndex(header =>
+            guesses.includes(header.trim().toLowerCase())
+        );
+
+        const options = headers
+            .map((header, index) =>
+                `<option value="${index}" ${index === guessed ? 'selected' : ''}>${escapeHtml(header)}</option>`
+            )
+            .join('');
+
+        const div = document.createElement('div');
+        div.classList.add('form-group');
+        div.innerHTML = `
+            <label for="map-${field}">${label}</label>
+            <select id="map-${field}" class="import-map" data-field="${field}">
+                <option value="">-- not in file --</option>
+                ${options}
+            </select>
+        `;
+
+        importMapping.appendChild(div);
+    });
+}
+
+importMapping.addEventListener('change', renderImportPreview);
+importDuplicateSelect.addEventListener('change', renderImportPreview);
+
+function getImportMapping() {
+    const mapping = {};
+    importMapping.querySelectorAll('.import-map').forEach(select => {
+        mapping[select.dataset.field] = select.value === '' ? null : parseInt(select.value);
+    });
+    return mapping;
+}
+
+
+// ===============================
+// IMPORT PRODUCTS: VALIDATE + PREVIEW
+// ===============================
+
+/*
+ * validateImportRows()
+ * Turns the CSV rows into products and checks each one with the same rules
+ * as the product form. Returns [{ line, product, errors, existing, action }].
+ */
+function validateImportRows() {
+
+    const mapping = getImportMapping();
+    const duplicateAction = importDuplicateSelect.value; // 'update' or 'skip'
+    const seenNames = new Set();
+    const seenSkus = new Set();
+
+    return importRows.slice(1).map((row, index) => {
+
+        // A ' that toCsv put in front of a formula-like name is taken off again
+        const cell = field => {
+            const text = mapping[field] === null ? '' : (row[mapping[field]] || '').trim();
+            return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+        };
+
+        const product = {
+            name: cell('name'),
+            sku: cell('sku') || null,
+            category: normalizeCategory(cell('category')),
+            // null = not in the file: new products start at 0, existing ones keep their stock
+            quantity: cell('quantity') === '' ? null : Number(cell('quantity')),
+            costPrice: Number(cell('costPrice')),
+            sellPrice: Number(cell('sellPrice'))
+        };
+
+        const errors = [];
+
+        if (!product.name) errors.push('Name is missing');
+        if (product.quantity !== null && (!Number.isInteger(product.quantity) || product.quantity < 0)) {
+            errors.push('Quantity must be a whole number');
+        }
+        if (cell('costPrice') === '' || isNaN(product.costPrice) || product.costPrice < 0) errors.push('Invalid cost price');
+        if (cell('sellPrice') === '' || isNaN(product.sellPrice)) errors.push('Invalid sell price');
+
+        // Same rule as the product form
+        if (!errors.length && product.sellPrice <= product.costPrice) {
+            errors.push('Sell price must be greater than cost price');
+        }
+
+        const nameKey = product.name.toLowerCase();
+        if (product.name && seenNames.has(nameKey)) errors.push('Name appears twice in the file');
+        seenNames.add(nameKey);
+
+        const existing = products.find(p => p.name.toLowerCase() === nameKey);
+
+        if (product.sku) {
+            const skuKey = product.sku.toLowerCase();
+            const codeOwner = findProductByCode(product.sku, existing && existing.id);
+
+            if (seenSkus.has(skuKey)) errors.push('SKU appears twice in the file');
+            else if (codeOwner) errors.push(`SKU already used by ${codeOwner.name}`);
+            seenSkus.add(skuKey);
+        }
+
+        let action = 'add';
+        if (errors.length) action = 'error';
+        else if (existing) action = duplicateAction;
+
+        return { line: index + 2, product, errors, existing, action };
+    });
+}
+
+function renderImportPreview() {
+
+    importPreviewTableBody.innerHTML = '';
+    importSummary.textContent = '';
+    importProductsBtn.disabled = importRows.length === 0;
+
+    if (importRows.length === 0) return;
+
+    const results = validateImportRows();
+
+    const labels = { add: 'New', update: 'Update existing', skip: 'Skip (exists)', error: 'Error' };
+
+    results.forEach(result => {
+
+        const tr = document.createElement('tr');
+        tr.classList.toggle('import-error', result.action === 'error');
+
+        // No quantity in the file: say what will happen to the stock
+        let quantity = result.product.quantity;
+        if (quantity === null) {
+            quantity = result.action === 'add' ? '0 (not in file)' : 'unchanged';
+        }
+
+        tr.innerHTML = `
+            <td>${result.line}</td>
+            <td>${escapeHtml(result.product.name || '-')}${result.product.sku ? `<br><small>SKU: ${escapeHtml(result.product.sku)}</small>` : ''}</td>
+            <td>${quantity}</td>
+            <td>${result.product.costPrice}</td>
+            <td>${result.product.sellPrice}</td>
+            <td>${labels[result.action]}${result.errors.length ? ': ' + escapeHtml(result.errors.join(', ')) : ''}</td>
+        `;
+
+        importPreviewTableBody.appendChild(tr);
+    });
+
+    const count = action => results.filter(r => r.action === action).length;
+
+    importSummary.textContent =
+        `${count('add')} new, ${count('update')} to update, ` +
+        `${count('skip')} skipped, ${count('error')} with errors (not imported).`;
+}
+
+
+// ===============================
+// IMPORT PRODUCTS: APPLY
+// ===============================
+
+importProductsBtn.addEventListener('click', async function () {
+
+    const results = validateImportRows();
+    const toImport = results.filter(r => r.action === 'add' || r.action === 'update');
+
+    if (toImport.length === 0) {
+        alert("There is nothing valid to import.");
+        return;
     }
 
+    if (!confirm(`Import ${toImport.length} product(s)?`)) return;
+
+    // Same rule as the product form: only the owner changes prices
+    const changesPrices = toImport.some(({ product, existing, action }) =>
+        action === 'update' &&
+        (existing.sellPrice !== product.sellPrice || existing.costPrice !== product.costPrice)
+    );
+
+    if (changesPrices && !(await requireOwner('change product prices by import'))) return;
+
+    toImport.forEach(({ product, existing, action }) => {
+
+        if (action === 'add') {
+            const newProduct = {
+                id: generateId(),
+                name: product.name,
+                quantity: 0,
+                costPrice: product.costPrice,
+                sellPrice: product.sellPrice,
+                costingMethod: 'fifo',
+                sku: product.sku,
+                category: product.category,
+                costLayers: []
+            };
+            products.push(newProduct);
+            changeStock(newProduct, product.quantity || 0, 'adjustment', 'CSV import', product.costPrice);
+            return;
+        }
+
+        // Update: same as editing through the product form
+        existing.sellPrice = product.sellPrice;
+        if (product.sku) existing.sku = product.sku;
+        if (product.category) existing.category = product.category;
+
+        if (existing.costPrice !== product.costPrice) {
+            (existing.costLayers || []).forEach(layer => { layer.unitCost = product.costPrice; });
+            existing.costPrice = product.costPrice;
+        }
+
+        // Only when the file has a quantity - a price-only file leaves stock alone
+        if (product.quantity !== null && existing.quantity !== product.quantity) {
+            changeStock(existing, product.quantity - existing.quantity, 'adjustment', 'CSV import');
+        }
+    });
+
+    saveStock();
+
+    importRows = [];
+    importFileInput.value = '';
+    renderImportMapping();
+    renderImportPreview();
+
+    renderProducts();
+    renderDashboard();
+
+    alert(`${toImport.length} product(s) imported.`);
 });
 
 
+
 // ===============================
-// RENDER EXPENSES TABLE
+// BACKUP & RESTORE MODULE
 // ===============================
 
-function renderExpenses() {
+// ----- DOM ELEMENTS -----
+const backupBtn = document.getElementById('backupBtn');
+const lastBackupLabel = document.getElementById('lastBackupLabel');
+const backupReminderDaysInput = document.getElementById('backupReminderDays');
+const backupReminder = document.getElementById('backupReminder');
+const backupReminderText = document.getElementById('backupReminderText');
+const backupReminderBtn = document.getElementById('backupReminderBtn');
+const restoreFileInput = document.getElementById('restoreFile');
+const restorePreview = document.getElementById('restorePreview');
+const restorePreviewTableBody = document.querySelector('#restorePreviewTable tbody');
+const restoreInfo = document.getElementById('restoreInfo');
+const restoreModeSelect = document.getElementById('restoreMode');
+const restoreBtn = document.getElementById('restoreBtn');
 
-    expensesTableBody.innerHTML = '';
+// ----- STATE -----
+let pendingBackup = null;   // validated backup file waiting for the Restore click
 
-    expenses.forEach(exp => {
+const DEFAULT_BACKUP_REMINDER_DAYS = 7;
 
-        const tr = document.createElement('tr');
 
-        tr.innerHTML = `
-            <td>${exp.date}</td>
-            <td>${exp.title}</td>
-            <td>${exp.amount}</td>
-            <td>
-                <button class="edit-expense-btn" data-id="${exp.id}">Edit</button>
-                <button class="delete-expense-btn" data-id="${exp.id}">Delete</button>
-            </td>
-        `;
+// ===============================
+// TAKING A BACKUP
+// ===============================
+
+function downloadBackup() {
+
+    const backup = createBackup();
+
+    downloadFile(`shop-backup-${todayStamp()}.json`, JSON.stringify(backup, null, 2), 'application/json');
+
+    setData('lastBackupDate', backup.createdAt);
+    renderBackupStatus();
+}
+
+backupBtn.addEventListener('click', downloadBackup);
+backupReminderBtn.addEventListener('click', downloadBackup);
+
+backupReminderDaysInput.addEventListener('change', function () {
+
+    const days = parseInt(this.value);
+
+    if (isNaN(days) || days < 1) {
+        alert("Please enter a number of days (1 or more).");
+        this.value = getSetting('backupReminderDays', DEFAULT_BACKUP_REMINDER_DAYS);
+        return;
+    }
+
+    setData('backupReminderDays', days);
+    renderBackupStatus();
+});
+
+/*
+ * renderBackupStatus()
+ * Shows when the last backup was taken, and the reminder banner
+ * when it is older than the chosen number of days (or there never was one).
+ */
+function renderBackupStatus() {
+
+    const lastBackup = getSetting('lastBackupDate', null);
+    const reminderDays = getSetting('backupReminderDays', DEFAULT_BACKUP_REMINDER_DAYS);
+
+    backupReminderDaysInput.value = reminderDays;
+    lastBackupLabel.textContent = lastBackup
+        ? `Last backup: ${formatDate(lastBackup)}`
+        : 'No backup taken yet.';
+
+    const hasData = products.length > 0 || sales.length > 0 || expenses.length > 0;
+    const daysSince = lastBackup
+        ? Math.floor((startOfDay(new Date()) - startOfDay(new Date(lastBackup))) / 86400000)
+        : null;
+
+    const overdue = hasData && (daysSince === null || daysSince >= reminderDays);
+    backupReminder.classList.toggle('hidden', !overdue);
 
-        expensesTableBody.appendChild(tr);
-    });
+    if (overdue) {
+        backupReminderText.textContent = daysSince === null
+            ? "⚠️ You have never backed up your shop data."
+            : `⚠️ Your last backup was ${daysSince} day(s) ago.`;
+    }
 }
 
 
 // ===============================
-// INITIAL LOAD
+// RESTORING A BACKUP
 // ===============================
 
-renderExpenses();
+restoreFileInput.addEventListener('change', function () {
 
+    const file = this.files[0];
+    pendingBackup = null;
+    restorePreview.classList.add('hidden');
 
+    if (!file) return;
 
-// ===============================
-// REPORTS + CHART MODULE
-// ===============================
+    const reader = new FileReader();
 
+    reader.onload = () => {
 
-/* =====================================================
-   1️⃣ CHART STATE (DECLARE FIRST - VERY IMPORTANT)
-   ===================================================== */
+        let backup;
+        try {
+            backup = JSON.parse(reader.result);
+        } catch (error) {
+            alert("This file is not valid JSON, so it cannot be restored.");
+            return;
+        }
 
-// This must be declared BEFORE any function uses it
-let reportChartInstance = null;
+        const errors = validateBackup(backup);
+        if (errors.length) {
+            alert("This backup cannot be restored:\n\n" + errors.join('\n'));
+            return;
+        }
 
+        pendingBackup = backup;
+        renderRestorePreview();
+    };
 
-/* =====================================================
-   2️⃣ CACHE DOM REFERENCES (AFTER DOM IS LOADED)
-   ===================================================== */
+    reader.readAsText(file);
+});
 
-// These elements must exist in your HTML
-const totalRevenueEl = document.getElementById('totalRevenue');
-const totalCostEl = document.getElementById('totalCost');
-const grossProfitEl = document.getElementById('grossProfit');
-const totalExpensesEl = document.getElementById('totalExpenses');
-const netProfitEl = document.getElementById('netProfit');
-const topProductEl = document.getElementById('topProduct');
+// Record counts in the file next to what is in the app now
+function renderRestorePreview() {
 
+    restorePreviewTableBody.innerHTML = '';
 
-/* =====================================================
-   3️⃣ CHART RENDER FUNCTION
-   ===================================================== */
+    COLLECTIONS.filter(key => !LOCAL_ONLY_COLLECTIONS.includes(key)).forEach(key => {
+        const inFile = (pendingBackup.data[key] || []).length;
+        const current = getData(key).length;
+        if (inFile === 0 && current === 0) return;
 
-function renderChart(revenue, gross, expenses, net) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${key}</td>
+            <td>${inFile}</td>
+            <td>${current}</td>
+        `;
+        restorePreviewTableBody.appendChild(tr);
+    });
 
-    const canvas = document.getElementById('reportChart');
+    restoreInfo.textContent = `Backup taken on ${formatDate(pendingBackup.createdAt)}.`;
+    restorePreview.classList.remove('hidden');
+}
 
-    // Safety: If chart canvas does not exist, stop execution
-    if (!canvas) return;
+restoreBtn.addEventListener('click', async function () {
 
-    const ctx = canvas.getContext('2d');
+    if (!pendingBackup) return;
 
-    // Destroy old chart before creating a new one
-    // Prevents memory leaks & duplicate charts
-    if (reportChartInstance) {
-        reportChartInstance.destroy();
-    }
+    if (!(await requireOwner('restore a backup'))) return;
 
-    reportChartInstance = new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: [
-                'Revenue',
-                'Gross Profit',
-                'Expenses',
-                'Net Profit'
-            ],
-            datasets: [{
-                label: 'Business Overview',
-                data: [revenue, gross, expenses, net],
-                backgroundColor: [
-                    '#3b82f6',
-                    '#22c55e',
-                    '#ef4444',
-                    '#a855f7'
-                ]
-            }]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false
-        }
-    });
-}
+    const mode = restoreModeSelect.value;
+    const warning = mode === 'replace'
+        ? "Replace ALL current data with this backup? Anything not in the backup will be lost."
+        : "Merge this backup into the current data? Records with the same id will be overwritten by the backup.";
 
+    if (!confirm(warning)) return;
 
-/* =====================================================
-   4️⃣ MAIN REPORT RENDER FUNCTION
-   ===================================================== */
+    try {
+        await restoreBackup(pendingBackup, mode);
+    } catch (error) {
+        console.error('Restore failed.', error);
+        alert("Restore failed. Your data was left unchanged.");
+        return;
+    }
 
-function renderReports() {
+    alert("Backup restored. The app will now reload.");
+    location.reload();
+});
 
-    // Always fetch fresh data locally
-    const salesData = getData('sales') || [];
-    const productsData = getData('products') || [];
-    const expensesData = getData('expenses') || [];
 
-    let totalRevenue = 0;
-    let totalCost = 0;
-    let productSalesMap = {};
 
-    // -------------------------------
-    // PROCESS SALES
-    // -------------------------------
-    salesData.forEach(sale => {
+// ===============================
+// SHOP SERVER SYNC SETTINGS
+// ===============================
 
-        // Add revenue
-        totalRevenue += sale.total;
+/*
+ * The syncing itself is done by sync.js. This panel only edits its
+ * settings and shows how it is going.
+ */
 
-        // Find matching product
-        const matchedProduct = productsData.find(
-            product => product.name === sale.productName
-        );
+// ----- DOM ELEMENTS -----
+const syncForm = document.getElementById('syncForm');
+const syncUrlInput = document.getElementById('syncUrl');
+const syncTokenInput = document.getElementById('syncToken');
+const syncEnabledInput = document.getElementById('syncEnabled');
+const syncNowBtn = document.getElementById('syncNowBtn');
+const syncStatusLabel = document.getElementById('syncStatus');
 
-        // Add cost of goods sold
-        if (matchedProduct) {
-            totalCost += matchedProduct.costPrice * sale.quantity;
-        }
+function renderSyncSettings() {
 
-        // Track product quantity for best seller
-        productSalesMap[sale.productName] =
-            (productSalesMap[sale.productName] || 0) + sale.quantity;
-    });
+    const settings = getSyncSettings();
 
-    // -------------------------------
-    // CALCULATIONS
-    // -------------------------------
-    const grossProfit = totalRevenue - totalCost;
+    syncUrlInput.value = settings.url;
+    syncTokenInput.value = settings.token;
+    syncEnabledInput.checked = settings.enabled;
+}
 
-    const totalExpenses = expensesData.reduce(
-        (sum, expense) => sum + expense.amount,
-        0
-    );
+function renderSyncStatus(status) {
 
-    const netProfit = grossProfit - totalExpenses;
+    syncNowBtn.disabled = !status.enabled || !status.here || status.running;
 
-    // -------------------------------
-    // FIND TOP PRODUCT
-    // -------------------------------
-    let topProduct = '-';
-    let highestQuantity = 0;
+    if (!status.enabled) {
+        syncStatusLabel.textContent = status.pending
+            ? `Sync is off. ${status.pending} change(s) will be sent when it is turned back on.`
+            : 'Sync is off.';
+        return;
+    }
 
-    Object.entries(productSalesMap).forEach(([name, qty]) => {
-        if (qty > highestQuantity) {
-            highestQuantity = qty;
-            topProduct = name;
-        }
-    });
+    // Only one open tab talks to the server (see startSync in sync.js)
+    if (!status.here) {
+        syncStatusLabel.textContent = 'Another open tab of this app is doing the syncing.';
+        return;
+    }
 
-    // -------------------------------
-    // UPDATE UI (SAFETY CHECKS)
-    // -------------------------------
-    if (totalRevenueEl) totalRevenueEl.textContent = totalRevenue.toFixed(2);
-    if (totalCostEl) totalCostEl.textContent = totalCost.toFixed(2);
-    if (grossProfitEl) grossProfitEl.textContent = grossProfit.toFixed(2);
-    if (totalExpensesEl) totalExpensesEl.textContent = totalExpenses.toFixed(2);
-    if (netProfitEl) netProfitEl.textContent = netProfit.toFixed(2);
-    if (topProductEl) topProductEl.textContent = topProduct;
+    const lines = [
+        status.running ? 'Syncing…' : `Last synced: ${status.lastSyncAt ? formatDate(status.lastSyncAt) : 'never'}`,
+        `${status.pending} change(s) waiting to be sent.`
+    ];
 
-    // Update chart
-    renderChart(totalRevenue, grossProfit, totalExpenses, netProfit);
+    if (status.lastError) lines.push(`⚠️ ${status.lastError}`);
+
+    syncStatusLabel.textContent = lines.join(' ');
 }
 
+syncForm.addEventListener('submit', async function (e) {
 
-/* =====================================================
-   5️⃣ INITIAL LOAD (ALWAYS LAST)
-   ===================================================== */
+    e.preventDefault();
 
-// Call this AFTER everything above is defined
-renderReports();
+    const url = syncUrlInput.value.trim();
+    const enabled = syncEnabledInput.checked;
 
+    if (enabled && !/^https?:\/\/\S+$/.test(url)) {
+        alert("Please enter the server address, e.g. http://192.168.1.10:8787");
+        return;
+    }
 
+    if (!(await requireOwner('change the sync settings'))) return;
 
-// ===============================
-// CREDIT MODULE
-// ===============================
+    saveSyncSettings({ enabled, url, token: syncTokenInput.value.trim() });
 
+    alert(enabled ? "Sync settings saved. Syncing now." : "Sync settings saved. Sync is off.");
+});
 
-/* =====================================================
-   1️⃣ CACHE DOM REFERENCES
-   ===================================================== */
+syncNowBtn.addEventListener('click', function () {
+    syncNow();
+});
 
-const creditTable = document.getElementById('creditTable');
-const creditTableBody = document.querySelector('#creditTable tbody');
+onSyncStatus(renderSyncStatus);
 
 
-/* =====================================================
-   2️⃣ MAIN RENDER FUNCTION
-   ===================================================== */
 
-function renderCredit() {
+// ===============================
+// OFFLINE APP (SERVICE WORKER)
+// ===============================
 
-    // Always fetch fresh data locally
-    const salesData = getData('sales') || [];
+/*
+ * service-worker.js keeps a copy of the app's files so it opens without
+ * internet. A new version is downloaded in the background and waits;
+ * the banner below lets the shop switch to it when it suits them
+ * (not in the middle of a sale).
+ */
 
-    // Safety check
-    if (!creditTableBody) return;
+// ----- DOM ELEMENTS -----
+const updateBanner = document.getElementById('updateBanner');
+const updateBtn = document.getElementById('updateBtn');
 
-    // Clear table
-    creditTableBody.innerHTML = '';
+// ----- STATE -----
+let waitingWorker = null;   // new version that is installed but not running yet
+let updateRequested = false; // "Update now" was pressed in this tab
 
-    // Object to group customer debts
-    const creditMap = {};
+// No controller yet = first visit: the worker taking over then is not an update
+let hadServiceWorker = 'serviceWorker' in navigator && Boolean(navigator.serviceWorker.controller);
 
-    /* -------------------------------
-       GROUP CREDIT SALES BY CUSTOMER
-    -------------------------------- */
+function showUpdateBanner(worker) {
+    waitingWorker = worker;
+    updateBanner.classList.remove('hidden');
+}
 
-    salesData.forEach(sale => {
+async function registerServiceWorker() {
 
-        if (sale.paymentType === "credit") {
+    // Needs a browser that supports it, and a real web server (not file://)
+    if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
 
-            if (!creditMap[sale.customerName]) {
-                creditMap[sale.customerName] = 0;
-            }
+    try {
+        const registration = await navigator.serviceWorker.register('service-worker.js');
 
-            creditMap[sale.customerName] += sale.remainingBalance || 0;
+        // Downloaded on an earlier visit and still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdateBanner(registration.waiting);
         }
 
-    });
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
 
-    /* -------------------------------
-       IF NO CREDIT SALES
-    -------------------------------- */
+            worker.addEventListener('statechange', () => {
+                // "installed" with a controller = an update (without one it is the first install)
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateBanner(worker);
+                }
+            });
+        });
 
-    if (Object.keys(creditMap).length === 0) {
-        creditTableBody.innerHTML = `
-            <tr>
-                <td colspan="4">No credit records found.</td>
-            </tr>
-        `;
+    } catch (error) {
+        console.warn('Offline mode is not available.', error);
+    }
+}
+
+updateBtn.addEventListener('click', function () {
+
+    updateRequested = true;
+
+    // Already running (updated from another tab): only this page needs reloading
+    if (!waitingWorker) {
+        flushStorage().then(() => location.reload());
         return;
     }
 
-    /* -------------------------------
-       RENDER GROUPED DATA
-    -------------------------------- */
+    flushStorage().then(() => waitingWorker.postMessage({ type: 'SKIP_WAITING' }));
+});
 
-    Object.entries(creditMap).forEach(([customer, totalDebt]) => {
+if ('serviceWorker' in navigator) {
 
-        const status = totalDebt === 0 ? "Paid" : "Unpaid";
+    let reloading = false;
 
-        const tr = document.createElement('tr');
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
 
-        tr.innerHTML = `
-            <td>${customer}</td>
-            <td>${totalDebt.toFixed(2)}</td>
-            <td>${status}</td>
-            <td>
-                <button class="pay-btn" data-customer="${customer}">
-                    Record Payment
-                </button>
-            </td>
-        `;
+        const wasUpdate = hadServiceWorker;
+        hadServiceWorker = true;
 
-        creditTableBody.appendChild(tr);
+        if (!updateRequested) {
+            // Updated from another tab: don't reload under a half-filled cart, just offer it.
+            // (First install - clients.claim - needs nothing at all.)
+            if (wasUpdate) showUpdateBanner(null);
+            return;
+        }
+
+        // The new version has taken over: reload once to run its files
+        if (reloading) return;
+        reloading = true;
+        location.reload();
     });
 }
 
 
-/* =====================================================
-   3️⃣ PAYMENT EVENT HANDLER
-   ===================================================== */
 
-// Add event listener only if table exists
-if (creditTable) {
+// ===============================
+// APP STARTUP
+// ===============================
 
-    creditTable.addEventListener('click', function (e) {
+/*
+ * loadState()
+ * Copies everything from storage into the module state above.
+ * Runs at startup, and again whenever another tab saves something.
+ */
+function loadState() {
+
+    products = getData('products');
+    sales = getData('sales');
+    returns = getData('returns');
+    expenses = getData('expenses');
+    payments = getData('payments');
+    customers = getData('customers');
+    stockMovements = getData('stockMovements');
+    stocktakes = getData('stocktakes');
+    suppliers = getData('suppliers');
+    purchaseOrders = getData('purchaseOrders');
+    supplierPayments = getData('supplierPayments');
+    staff = getData('staff');
+
+    // Still signed in on this tab? (the account may have been deleted since)
+    currentStaff = staff.find(member => member.id === sessionStorage.getItem(STAFF_SESSION_KEY)) || null;
+    setAuditUser(getStaffStamp());
+
+    // Point open forms at the fresh copies of their records
+    if (selectedProduct) selectedProduct = products.find(p => p.id === selectedProduct.id) || null;
+    if (returningSale) returningSale = sales.find(s => s.id === returningSale.id) || null;
+}
 
-        if (!e.target.classList.contains('pay-btn')) return;
+function renderAll() {
+    renderProducts();
+    renderStocktake();
+    renderSales();
+    renderReturns();
+    renderExpenses();
+    renderReports();
+    renderCredit();
+    renderCustomers();
+    renderSuppliers();
+    renderPoLines();
+    renderPurchaseOrders();
+    renderDashboard();
+    renderBackupStatus();
+    renderTaxRates();
+    renderStaff();
+    renderStaffBar();
+    renderAudit();
+}
 
-        const customerName = e.target.dataset.customer;
+/*
+ * startApp()
+ * Waits for storage to load, then fills the module state and renders everything.
+ * Must stay at the very bottom so every module above is defined.
+ */
+async function startApp() {
 
-        const payment = parseFloat(prompt("Enter payment amount:"));
+    await initializeStorage();
 
-        if (isNaN(payment) || payment <= 0) {
-            alert("Invalid payment amount.");
-            return;
-        }
+    const unreadable = getUnreadableKeys();
 
-        // Fetch fresh sales data
-        const salesData = getData('sales') || [];
+    if (unreadable.length) {
+        alert(
+            `Some saved data could not be read, so the app opened without it: ${unreadable.join(', ')}.\n\n` +
+            "If you have a backup, restore it in the Backup section."
+        );
+    }
 
-        let remainingPayment = payment;
+    loadState();
+    renderAll();
+    renderShopDetails();
+    renderSyncSettings();
 
-        /* ----------------------------------
-           APPLY PAYMENT TO CUSTOMER SALES
-        ----------------------------------- */
+    startSync();
+    registerServiceWorker();
+}
 
-        salesData.forEach(sale => {
 
-            if (
-                sale.paymentType === "credit" &&
-                sale.customerName === customerName &&
-                sale.remainingBalance > 0 &&
-                remainingPayment > 0
-            ) {
+// ===============================
+// CHANGES FROM OTHER TABS
+// ===============================
 
-                if (remainingPayment >= sale.remainingBalance) {
+// Settings typed into the Shop Details form - only refilled when they really changed
+const SHOP_DETAIL_KEYS = ['shopName', 'shopDetails', 'receiptFooter'];
 
-                    remainingPayment -= sale.remainingBalance;
-                    sale.paidAmount += sale.remainingBalance;
-                    sale.remainingBalance = 0;
-                    sale.status = "Paid";
+// Settings that are saved as part of an action (see setDataTogether)
+const SETTING_NAMES = {
+    nextReceiptNumber: 'receipt numbers'
+};
 
-                } else {
+// A name people recognise for a record in a conflict message
+function describeConflict(conflict) {
 
-                    sale.remainingBalance -= remainingPayment;
-                    sale.paidAmount += remainingPayment;
-                    sale.status = "Partial";
-                    remainingPayment = 0;
-                }
-            }
-        });
+    if (conflict.id === null) return `Shop settings: ${SETTING_NAMES[conflict.key] || conflict.key}`;
 
-        // Save updated sales
-        setData('sales', salesData);
+    const record = conflict.record || {};
+    const name = record.name || record.title || (record.receiptNumber ? formatReceiptNumber(record.receiptNumber) : conflict.id);
+    return `${conflict.key}: ${name}${conflict.record ? '' : ' (deleted)'}`;
+}
 
-        // Re-render affected modules
-        renderCredit();
-        renderReports();
+onStorageChange(function (keys, conflicts) {
 
-        alert("Payment recorded successfully.");
-    });
-}
+    loadState();
+    renderAll();
 
+    if (keys.some(key => SHOP_DETAIL_KEYS.includes(key))) renderShopDetails();
 
-/* =====================================================
-   4️⃣ INITIAL LOAD
-   ===================================================== */
+    if (keys.includes('syncSettings')) {
+        renderSyncSettings();
+        startSync();
+    }
+
+    // The return form's sale may have been deleted in the other tab
+    if (!returnPanel.classList.contains('hidden') && !returningSale) closeReturnForm();
+
+    // The sale being edited may have been deleted or paid in the other tab
+    const editBlocker = editingSaleId && getSaleEditBlocker(sales.find(sale => sale.id === editingSaleId));
 
-renderCredit();
+    if (editBlocker) {
+        clearSaleForm();
+        alert(`${editBlocker}\n\nYour edit of it has been cancelled.`);
+    }
+
+    if (conflicts.length) {
+        alert(
+            "Another tab changed these records before this tab could save them:\n\n" +
+            conflicts.map(describeConflict).join('\n') +
+            "\n\nThe other tab's version was kept and your change was not saved. " +
+            "Please check them and make your change again."
+        );
+    }
+});
+
+startApp().catch(error => {
+    console.error('The app could not start.', error);
+    alert(
+        "The app could not load its saved data, so it cannot be used right now.\n\n" +
+        "Please reload the page. If this keeps happening, the browser's storage may be full or damaged."
+    );
+});
@@ -0,0 +1,87 @@
+// ===============================
+// CSV HELPERS
+// ===============================
+
+/*
+ * Turning rows into CSV text and back, for the exports and the product
+ * import in app.js. Loaded before app.js. Nothing in here touches the page,
+ * so tests/csv.test.js can run it in Node as well.
+ */
+
+// Excel and Sheets run a cell starting with one of these as a formula
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+/*
+ * toCsv(rows)
+ * rows: array of arrays. Values with commas, quotes or new lines are quoted.
+ * Text that would run as a formula (a product called "=HYPERLINK(...)")
+ * gets a ' in front, which spreadsheets hide; plain numbers like -5 are left alone.
+ */
+function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+        let text = value === null || value === undefined ? '' : String(value);
+
+        if (CSV_FORMULA_START.test(text) && isNaN(Number(text))) text = `'${text}`;
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+}
+
+/*
+ * parseCsv(text)
+ * Returns an array of rows (arrays of strings). Handles quoted values,
+ * "" inside quotes, and both \n and \r\n line endings.
+ */
+function parseCsv(text) {
+
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+
+    // Spreadsheet apps often add a byte-order mark at the start
+    text = text.replace(/^﻿/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    // Last line (files don't always end with a new line)
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+
+    // Drop completely empty lines
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+
+// Node (the tests) - in the browser these are plain globals like everything else
+if (typeof module !== 'undefined') {
+    module.exports = { toCsv, parseCsv };
+}
@@ -0,0 +1,439 @@
+// ===============================
+// SHOP SYNC SERVER (REFERENCE)
+// ===============================
+
+/*
+ * A small server for testing sync.js - plain Node, no packages to install.
+ *
+ *   node server/sync-server.js
+ *
+ * Settings (environment variables):
+ *   PORT            port to listen on (default 8787)
+ *   SYNC_DATA_FILE  where the data is kept (default server/sync-data.json)
+ *   SYNC_TOKEN      if set, requests must send "Authorization: Bearer <token>"
+ *
+ * Then in the app: Settings & Data → Shop Server Sync →
+ * server address http://<this computer's address>:8787
+ *
+ * API
+ *   GET  /changes?since=SEQ  -> { seq, more, records: [serverRecord] }
+ *   POST /changes            <- { clientId, changes: [change] }
+ *                            -> { results: [serverRecord] }
+ *
+ * Changes with the same "group" were one action on the device and are
+ * applied all or nothing (see applyGroup).
+ *
+ * serverRecord: { collection, id, rev, seq, deleted, value }
+ * rev goes up each time the record changes, seq goes up each time ANY record
+ * changes - a device asks for everything after the last seq it has seen.
+ * Deleted records are kept as "deleted: true" so other devices hear about it.
+ *
+ * Tests: node --test tests/ (from the app folder)
+ *
+ * This is for trying sync out on a shop network. It keeps everything in one
+ * JSON file and has no user accounts - don't put it on the open internet as it is.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA_FILE || path.join(__dirname, 'sync-data.json');
+const TOKEN = process.env.SYNC_TOKEN || '';
+
+const COLLECTIONS = ['products', 'sales', 'expenses', 'payments'];
+const PAGE_SIZE = 500;               // records per GET /changes answer
+const REMEMBERED_CHANGES = 20000;    // change ids kept to spot repeats
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// Fields devices send as "+5 / -2" (change.deltas) - added to the latest figure
+const RUNNING_TOTALS = {
+    products: ['quantity'],
+    sales: ['paidAmount', 'remainingBalance']
+};
+
+
+// ===============================
+// DATA FILE
+// ===============================
+
+/*
+ * data: {
+ *   seq: last sequence number handed out,
+ *   records: { "products:_123": serverRecord + updatedBy },
+ *   appliedChanges: [change ids already applied, oldest first]
+ * }
+ */
+function loadData() {
+    try {
+        return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return { seq: 0, records: {}, appliedChanges: [] };
+    }
+}
+
+// Write to a temporary file first, so a crash never leaves half a file behind
+function saveData() {
+    const temporaryFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(temporaryFile, JSON.stringify(data));
+    fs.renameSync(temporaryFile, DATA_FILE);
+}
+
+let data = loadData();
+let appliedChanges = new Set(data.appliedChanges);
+
+
+// ===============================
+// APPLYING A CHANGE
+// ===============================
+
+// What devices get back (updatedBy stays on the server)
+function toServerRecord(stored) {
+    const { updatedBy, ...record } = stored;
+    return record;
+}
+
+// The record as the server has it now (a never-seen id counts as deleted)
+function getServerRecord(change) {
+    return toServerRecord(data.records[`${change.collection}:${change.recordId}`] || {
+        collection: change.collection, id: change.recordId, rev: 0, seq: 0, deleted: true, value: null
+    });
+}
+
+function rememberChange(changeId) {
+    appliedChanges.add(changeId);
+    data.appliedChanges.push(changeId);
+
+    if (data.appliedChanges.length > REMEMBERED_CHANGES) {
+        appliedChanges.delete(data.appliedChanges.shift());
+    }
+}
+
+const roundTotal = value => Math.round(value * 100) / 100;
+
+/*
+ * mergeCostLayers(value, current, change)
+ * Another device changed the stock since this one saw it (change.layersBefore
+ * is not what the server has), so this device's cost layers are out of date.
+ * Its stock change is replayed on the server's layers instead (oldest taken
+ * first, like takeFromCostLayers in app.js), so the layers still add up to
+ * the merged quantity.
+ */
+function mergeCostLayers(value, current, change) {
+
+    const layers = JSON.parse(JSON.stringify(current.value.costLayers || []));
+    const delta = Number(change.deltas.quantity) || 0;
+
+    let remaining = -delta;
+
+    while (remaining > 0 && layers.length > 0) {
+        const taken = Math.min(remaining, layers[0].quantity);
+        layers[0].quantity -= taken;
+        remaining -= taken;
+        if (layers[0].quantity <= 0) layers.shift();
+    }
+
+    const added = change.addedStock;
+
+    if (delta > 0 && added) {
+        const layer = { quantity: delta, unitCost: added.unitCost, date: change.date, reference: 'Synced' };
+
+        if (value.costingMethod === 'average' && layers.length > 0) {
+            // Blended into the single average layer, like addCostLayer in app.js
+            const totalQuantity = layers[0].quantity + delta;
+            layers[0].unitCost = (layers[0].quantity * layers[0].unitCost + delta * added.unitCost) / totalQuantity;
+            layers[0].quantity = totalQuantity;
+        } else if (added.atFront) {
+            layers.unshift(layer);
+        } else {
+            layers.push(layer);
+        }
+    }
+
+    value.costLayers = layers;
+
+    // Same rule as refreshCostPrice in app.js
+    if (layers.length > 0) value.costPrice = roundTotal(layers[0].unitCost);
+}
+
+// Same rule as updateSaleStatus in app.js
+function getSaleStatus(sale) {
+    if (sale.remainingBalance <= 0) return 'Paid';
+    if (sale.paidAmount > 0) return 'Partial';
+    return 'Unpaid';
+}
+
+/*
+ * isRefused(clientId, change)
+ * A delete is refused when another device changed the record since this
+ * one last saw it - the record stays.
+ */
+function isRefused(clientId, change) {
+
+    const current = data.records[`${change.collection}:${change.recordId}`];
+
+    return change.action === 'delete' &&
+        Boolean(current) && !current.deleted &&
+        current.rev !== change.baseRev && current.updatedBy !== clientId;
+}
+
+/*
+ * applyChange(clientId, change)
+ * change: { id, collection, recordId, action: 'create' | 'update' | 'delete',
+ *           baseRev, fields, value, deltas, layersBefore, addedStock }
+ * Returns the record as it stands afterwards (what the device should keep).
+ */
+function applyChange(clientId, change) {
+
+    const key = `${change.collection}:${change.recordId}`;
+    const current = data.records[key];
+
+    // Sent twice (the first answer never arrived) - it is already in
+    if (appliedChanges.has(change.id)) return getServerRecord(change);
+
+    let next = null; // { deleted, value }
+
+    if (change.action === 'delete') {
+
+        if (!current || current.deleted || isRefused(clientId, change)) {
+            next = null;
+        } else {
+            // Nobody else touched it since this device saw it
+            next = { deleted: true, value: current.value };
+        }
+
+    } else if (!current || current.deleted) {
+
+        // New here - or changed on the device after another one deleted it: it comes back
+        next = { deleted: false, value: change.value };
+
+    } else if (change.action === 'create') {
+
+        next = null; // same id already here: the server's copy is kept
+
+    } else {
+
+        // Only the fields this device changed - other devices' edits survive
+        const value = { ...current.value };
+
+        (change.fields || []).forEach(field => {
+            if (field in change.value) value[field] = change.value[field];
+            else delete value[field];
+        });
+
+        // Running totals: add this device's change to the latest figure
+        const deltas = change.deltas || {};
+
+        (RUNNING_TOTALS[change.collection] || []).forEach(field => {
+            value[field] = roundTotal((current.value[field] || 0) + (Number(deltas[field]) || 0));
+        });
+
+        // Cost layers go with the stock: the device's copy is only right if it
+        // started from the layers the server has now
+        const layersMoved = change.layersBefore &&
+            JSON.stringify(current.value.costLayers || []) !== JSON.stringify(change.layersBefore);
+
+        if (change.collection === 'products' && layersMoved) {
+            mergeCostLayers(value, current, { ...change, deltas });
+        }
+
+        if (change.collection === 'sales' && (deltas.paidAmount || deltas.remainingBalance)) {
+            value.status = getSaleStatus(value);
+        }
+
+        next = { deleted: false, value };
+    }
+
+    rememberChange(change.id);
+
+    if (!next) return getServerRecord(change);
+
+    data.seq++;
+    data.records[key] = {
+        collection: change.collection,
+        id: change.recordId,
+        rev: (current ? current.rev : 0) + 1,
+        seq: data.seq,
+        deleted: next.deleted,
+        value: next.value,
+        updatedBy: clientId
+    };
+
+    return toServerRecord(data.records[key]);
+}
+
+/*
+ * applyGroup(clientId, changes)
+ * The changes of one action on a device (e.g. a sale deleted and its stock
+ * put back) go in together or not at all: if the delete is refused, the
+ * stock is not put back either.
+ * The group is worked out on a copy of the data, which only replaces the
+ * real data once every change has gone in: a change that fails halfway
+ * (bad cost layers, say) leaves nothing of its group behind.
+ */
+function applyGroup(clientId, changes) {
+
+    const original = { data, appliedChanges };
+
+    // Records are replaced, never changed in place, so a shallow copy is enough
+    data = { seq: data.seq, records: { ...data.records }, appliedChanges: [...data.appliedChanges] };
+    appliedChanges = new Set(appliedChanges);
+
+    try {
+        const refused = changes.some(change => !appliedChanges.has(change.id) && isRefused(clientId, change));
+
+        if (!refused) return changes.map(change => applyChange(clientId, change));
+
+        return changes.map(change => {
+            rememberChange(change.id);
+            return getServerRecord(change);
+        });
+    } catch (error) {
+        data = original.data;
+        appliedChanges = original.appliedChanges;
+        throw error;
+    }
+}
+
+function isValidChange(change) {
+    return change &&
+        typeof change.id === 'string' &&
+        COLLECTIONS.includes(change.collection) &&
+        change.recordId !== undefined &&
+        ['create', 'update', 'delete'].includes(change.action) &&
+        (change.action === 'delete' || (change.value && typeof change.value === 'object'));
+}
+
+
+// ===============================
+// HTTP
+// ===============================
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        // The app is usually opened from another address than this server
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request is too large.'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+function handleGetChanges(response, url) {
+
+    const since = Number(url.searchParams.get('since')) || 0;
+
+    const changed = Object.values(data.records)
+        .filter(record => record.seq > since)
+        .sort((a, b) => a.seq - b.seq);
+
+    const page = changed.slice(0, PAGE_SIZE);
+
+    send(response, 200, {
+        seq: page.length ? page[page.length - 1].seq : Math.max(since, data.seq),
+        more: changed.length > PAGE_SIZE,
+        records: page.map(toServerRecord)
+    });
+}
+
+async function handlePostChanges(request, response) {
+
+    let body;
+    try {
+        body = JSON.parse(await readBody(request));
+    } catch (error) {
+        send(response, 400, { error: 'The body must be JSON.' });
+        return;
+    }
+
+    // null, a number or a list parse as JSON too
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        send(response, 400, { error: 'Expected { clientId, changes: [...] }.' });
+        return;
+    }
+
+    const changes = Array.isArray(body.changes) ? body.changes : null;
+
+    if (!body.clientId || !changes || !changes.every(isValidChange)) {
+        send(response, 400, { error: 'Expected { clientId, changes: [...] } with valid changes.' });
+        return;
+    }
+
+    // Changes of one action on the device arrive next to each other with the same group
+    const groups = [];
+
+    changes.forEach(change => {
+        const last = groups[groups.length - 1];
+
+        if (last && change.group && last[0].group === change.group) last.push(change);
+        else groups.push([change]);
+    });
+
+    // In the order they were made on the device
+    const results = groups.flatMap(group => applyGroup(String(body.clientId), group));
+    saveData();
+
+    send(response, 200, { results });
+}
+
+const server = http.createServer(async (request, response) => {
+
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+
+    if (request.method === 'OPTIONS') {
+        send(response, 204);
+        return;
+    }
+
+    if (TOKEN && request.headers.authorization !== `Bearer ${TOKEN}`) {
+        send(response, 401, { error: 'Wrong or missing access key.' });
+        return;
+    }
+
+    try {
+        if (url.pathname === '/changes' && request.method === 'GET') {
+            handleGetChanges(response, url);
+        } else if (url.pathname === '/changes' && request.method === 'POST') {
+            await handlePostChanges(request, response);
+        } else if (url.pathname === '/' && request.method === 'GET') {
+            send(response, 200, { ok: true, seq: data.seq, records: Object.keys(data.records).length });
+        } else {
+            send(response, 404, { error: 'Not found.' });
+        }
+    } catch (error) {
+        console.error(error);
+        send(response, 500, { error: 'Something went wrong on the server.' });
+    }
+});
+
+// Started with "node server/sync-server.js" - the tests only require() it
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Shop sync server listening on http://localhost:${PORT} (data in ${DATA_FILE})`);
+    });
+}
+
+module.exports = { applyGroup, mergeCostLayers };
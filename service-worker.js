@@ -0,0 +1,82 @@
+// ===============================
+// SERVICE WORKER (OFFLINE APP)
+// ===============================
+
+/*
+ * Keeps a copy of every file the app needs, so it opens and works
+ * with no internet. All shop data is already local (IndexedDB).
+ *
+ * ⚠️ Change CACHE_VERSION whenever any of these files change.
+ * Browsers then download the new version in the background and
+ * app.js shows the "A new version is ready" banner.
+ */
+const CACHE_VERSION = 'shop-app-v16';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'app.js',
+    'storage.js',
+    'csv.js',
+    'sync.js',
+    'style.css',
+    'vendor/chart.umd.min.js',
+    'manifest.webmanifest',
+    'icons/icon.svg'
+];
+
+
+// ===============================
+// INSTALL: DOWNLOAD EVERYTHING
+// ===============================
+
+// The new version waits until the user presses "Update now" (see SKIP_WAITING below)
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_FILES))
+    );
+});
+
+
+// ===============================
+// ACTIVATE: REMOVE OLD VERSIONS
+// ===============================
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+
+// ===============================
+// FETCH: CACHE FIRST, THEN NETWORK
+// ===============================
+
+self.addEventListener('fetch', event => {
+
+    const request = event.request;
+
+    // Only the app's own files - anything else goes straight to the network
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+    );
+});
+
+
+// ===============================
+// MESSAGES FROM THE PAGE
+// ===============================
+
+// "Update now" was pressed: take over from the old version
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
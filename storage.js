@@ -2,14 +2,1523 @@
 // STORAGE UTILITIES
 // ===============================
 
-// Get data safely
+/*
+ * All shop data lives in IndexedDB.
+ *
+ * - Collections (products, sales, expenses, payments...) are arrays of records.
+ *   Every record is saved on its own in the "records" store, keyed by
+ *   [collection, id] and indexed by collection and by [collection, date].
+ * - Anything that is not an array (settings, counters...) is saved in the "meta" store.
+ *
+ * app.js still uses getData()/setData() exactly like before:
+ * the whole database is read into memory once by initializeStorage(),
+ * getData() reads from that copy, and setData() updates it straight away
+ * and writes ONLY the records that changed to IndexedDB in the background.
+ *
+ * If IndexedDB is not available (old browser, private mode...) we fall back
+ * to plain localStorage so the app keeps working.
+ */
+
+const DB_NAME = 'shopManagementDB';
+const DB_VERSION = 1;
+const RECORDS_STORE = 'records';
+const META_STORE = 'meta';
+
+// Keys that hold arrays of records (everything else goes to the meta store)
+const COLLECTIONS = [
+    'products', 'sales', 'expenses', 'payments', 'customers',
+    'returns', 'stockMovements', 'stocktakes',
+    'suppliers', 'purchaseOrders', 'supplierPayments', 'staff',
+    'auditLog', 'syncOutbox'
+];
+
+let db = null;            // open IDBDatabase (null = localStorage fallback)
+const cache = {};         // key -> value, what getData() returns
+const persisted = {};     // collection -> Map(id -> { json, position }) of what is in IndexedDB
+let nextPosition = 0;     // keeps records in the order they were added
+let writeQueue = Promise.resolve(); // writes run one after another
+
+
+/*
+ * requestToPromise(request)
+ * Small helper: turns an IDBRequest into a Promise.
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/*
+ * transactionDone(tx)
+ * Resolves once the transaction has been committed.
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+function isCollection(key) {
+    return COLLECTIONS.includes(key);
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+const unreadableKeys = []; // localStorage keys that could not be read (see readLocalStorageKey)
+
+/*
+ * readLocalStorageKey(key, fallback)
+ * The value saved in localStorage, or fallback if there is none.
+ * A value that can't be read (cut off, edited by hand) is skipped and
+ * logged instead of stopping the app from opening - getUnreadableKeys()
+ * lets app.js tell the user.
+ */
+function readLocalStorageKey(key, fallback) {
+
+    const text = localStorage.getItem(key);
+    if (text === null) return fallback;
+
+    try {
+        const value = JSON.parse(text);
+        if (value === null) return fallback;
+        if (isCollection(key) && !Array.isArray(value)) throw new Error('Not a list of records');
+        return value;
+    } catch (error) {
+        console.error(`Saved "${key}" could not be read and was skipped.`, error);
+        if (!unreadableKeys.includes(key)) unreadableKeys.push(key);
+        return fallback;
+    }
+}
+
+function getUnreadableKeys() {
+    return [...unreadableKeys];
+}
+
+
+// ===============================
+// OPEN DATABASE
+// ===============================
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        // Runs the first time (or when DB_VERSION goes up)
+        request.onupgradeneeded = () => {
+            const database = request.result;
+
+            if (!database.objectStoreNames.contains(RECORDS_STORE)) {
+                const store = database.createObjectStore(RECORDS_STORE, {
+                    keyPath: ['collection', 'id']
+                });
+                store.createIndex('collection', 'collection');
+                store.createIndex('collectionDate', ['collection', 'date']);
+            }
+
+            if (!database.objectStoreNames.contains(META_STORE)) {
+                database.createObjectStore(META_STORE, { keyPath: 'key' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+
+// ===============================
+// LOAD EVERYTHING INTO MEMORY
+// ===============================
+
+async function loadAllFromDatabase() {
+
+    const tx = db.transaction([RECORDS_STORE, META_STORE], 'readonly');
+
+    const rows = await requestToPromise(tx.objectStore(RECORDS_STORE).getAll());
+    const metaRows = await requestToPromise(tx.objectStore(META_STORE).getAll());
+
+    COLLECTIONS.forEach(key => {
+        cache[key] = [];
+        persisted[key] = new Map();
+    });
+
+    // Put records back in the order they were first saved
+    rows.sort((a, b) => a.position - b.position);
+
+    rows.forEach(row => {
+        if (!cache[row.collection]) {
+            cache[row.collection] = [];
+            persisted[row.collection] = new Map();
+        }
+
+        cache[row.collection].push(row.value);
+        persisted[row.collection].set(row.id, {
+            json: JSON.stringify(row.value),
+            position: row.position
+        });
+
+        nextPosition = Math.max(nextPosition, row.position + 1);
+    });
+
+    metaRows.forEach(row => {
+        cache[row.key] = row.value;
+    });
+}
+
+
+// ===============================
+// ONE-TIME MIGRATION FROM LOCALSTORAGE
+// ===============================
+
+/*
+ * migrateFromLocalStorage()
+ * Older versions kept every key as one big JSON string in localStorage.
+ * The first time the app runs with IndexedDB we copy that data over,
+ * and only remove it from localStorage once the copy has been committed.
+ * A key that can't be read is left in localStorage untouched.
+ */
+async function migrateFromLocalStorage() {
+
+    const alreadyMigrated = cache.migratedFromLocalStorage;
+    if (alreadyMigrated) return;
+
+    const keysToMove = COLLECTIONS.filter(key => {
+        if (localStorage.getItem(key) === null) return false;
+
+        const records = readLocalStorageKey(key, null);
+        if (records !== null) cache[key] = records;
+        return !unreadableKeys.includes(key);
+    });
+
+    const collections = {};
+    keysToMove.forEach(key => { collections[key] = cache[key]; });
+
+    cache.migratedFromLocalStorage = true;
+    await writeChanges(collections, { migratedFromLocalStorage: true });
+
+    keysToMove.forEach(key => localStorage.removeItem(key));
+}
+
+
+// ===============================
+// SCHEMA VERSION & MIGRATIONS
+// ===============================
+
+/*
+ * The shape of stored records changes as the app grows.
+ * The stored "schemaVersion" says which migrations have already run.
+ * To change a record shape: add a step to the END of MIGRATIONS with the
+ * next version number. Never edit or reorder a step that has shipped.
+ *
+ * Each step receives every collection ({ products, sales, ... }) as copies
+ * and changes them in place.
+ */
+
+/*
+ * parseLegacyDate(text)
+ * Dates used to be saved with toLocaleString(), e.g. "1/2/2025, 10:00:00 AM".
+ * Returns an ISO string, or null if the text can't be understood.
+ */
+function parseLegacyDate(text) {
+
+    if (typeof text !== 'string' || text.trim() === '') return null;
+
+    // Already ISO (2025-01-02T10:00:00.000Z)
+    if (/^\d{4}-\d{2}-\d{2}T/.test(text)) return text;
+
+    const match = text.match(
+        /^(\d{1,2})[\/.](\d{1,2})[\/.](\d{4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?/
+    );
+
+    if (match) {
+        let [, first, second, year, hours, minutes, seconds, meridiem] = match;
+
+        // The dates were written by this browser, so ask it which comes first.
+        // 31 December → "12/31/2000" (month first) or "31/12/2000" (day first)
+        const monthFirst = new Date(2000, 11, 31).toLocaleDateString().startsWith('12');
+
+        let day = parseInt(monthFirst ? second : first);
+        let month = parseInt(monthFirst ? first : second);
+
+        // "13/01/2025" can only be day first, whatever the browser says
+        if (month > 12 && day <= 12) [day, month] = [month, day];
+
+        hours = parseInt(hours);
+        if (meridiem) {
+            const isPm = meridiem.toUpperCase() === 'PM';
+            if (isPm && hours < 12) hours += 12;
+            if (!isPm && hours === 12) hours = 0;
+        }
+
+        const date = new Date(
+            parseInt(year), month - 1, day,
+            hours, parseInt(minutes), parseInt(seconds || 0)
+        );
+
+        if (!isNaN(date)) return date.toISOString();
+    }
+
+    // Last try: let the browser parse it
+    const parsed = new Date(text);
+    return isNaN(parsed) ? null : parsed.toISOString();
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Backfill missing payment fields on sales',
+        up(data) {
+            data.sales.forEach(sale => {
+                if (!sale.paymentType) sale.paymentType = 'cash';
+
+                if (typeof sale.total !== 'number') {
+                    sale.total = (sale.salePrice || 0) * (sale.quantity || 0);
+                }
+
+                const isCredit = sale.paymentType === 'credit';
+
+                if (typeof sale.paidAmount !== 'number') {
+                    sale.paidAmount = isCredit ? 0 : sale.total;
+                }
+
+                if (typeof sale.remainingBalance !== 'number') {
+                    sale.remainingBalance = sale.total - sale.paidAmount;
+                }
+
+                if (!sale.status) {
+                    if (sale.remainingBalance <= 0) sale.status = 'Paid';
+                    else if (sale.paidAmount > 0) sale.status = 'Partial';
+                    else sale.status = 'Unpaid';
+                }
+
+                if (!isCredit) sale.customerName = null;
+            });
+        }
+    },
+    {
+        version: 2,
+        description: 'Convert locale date strings to ISO dates',
+        up(data) {
+            ['sales', 'expenses', 'payments'].forEach(key => {
+                data[key].forEach(record => {
+                    const iso = parseLegacyDate(record.date);
+
+                    if (iso) {
+                        record.date = iso;
+                    } else {
+                        // Keep what we have rather than lose the record
+                        console.warn(`Could not convert date "${record.date}" on ${key} ${record.id}.`);
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Store every sale as a list of line items',
+        up(data) {
+            data.sales.forEach(sale => {
+                if (Array.isArray(sale.items)) return;
+
+                sale.items = [{
+                    productId: sale.productId,
+                    productName: sale.productName,
+                    quantity: sale.quantity,
+                    salePrice: sale.salePrice,
+                    costPrice: sale.costPrice,
+                    total: sale.total
+                }];
+
+                delete sale.productId;
+                delete sale.productName;
+                delete sale.quantity;
+                delete sale.salePrice;
+                delete sale.costPrice;
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'Create customer records from credit sale names',
+        up(data) {
+            // "Mrs Ade" and "mrs  ade " become one customer
+            const normalize = name => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+            const byName = {};
+
+            data.customers.forEach(customer => {
+                byName[normalize(customer.name)] = customer;
+            });
+
+            const findOrCreate = name => {
+                const key = normalize(name);
+                if (!key) return null;
+
+                if (!byName[key]) {
+                    byName[key] = {
+                        id: '_' + Math.random().toString(36).substr(2, 9),
+                        name: String(name).trim().replace(/\s+/g, ' '),
+                        phone: '',
+                        notes: '',
+                        creditLimit: null
+                    };
+                    data.customers.push(byName[key]);
+                }
+                return byName[key];
+            };
+
+            data.sales.forEach(sale => {
+                if (sale.paymentType !== 'credit' || sale.customerId) return;
+
+                const customer = findOrCreate(sale.customerName);
+                if (customer) sale.customerId = customer.id;
+            });
+
+            data.payments.forEach(payment => {
+                if (payment.customerId) return;
+
+                const customer = findOrCreate(payment.customerName);
+                if (customer) payment.customerId = customer.id;
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Start the stock ledger with an opening balance for each product',
+        up(data) {
+            const now = new Date().toISOString();
+
+            data.products.forEach(product => {
+                const hasHistory = data.stockMovements.some(m => m.productId === product.id);
+                if (hasHistory) return;
+
+                data.stockMovements.push({
+                    id: '_' + Math.random().toString(36).substr(2, 9),
+                    productId: product.id,
+                    productName: product.name,
+                    type: 'adjustment',
+                    delta: product.quantity,
+                    balance: product.quantity,
+                    date: now,
+                    reference: 'Opening balance'
+                });
+            });
+        }
+    },
+    {
+        version: 6,
+        description: 'Give products cost layers and a costing method',
+        up(data) {
+            data.products.forEach(product => {
+                if (!product.costingMethod) product.costingMethod = 'fifo';
+
+                if (!Array.isArray(product.costLayers)) {
+                    // Everything on the shelf so far is one batch at the current cost
+                    product.costLayers = product.quantity > 0
+                        ? [{
+                            quantity: product.quantity,
+                            unitCost: product.costPrice,
+                            date: new Date().toISOString(),
+                            reference: 'Opening balance'
+                        }]
+                        : [];
+                }
+            });
+        }
+    },
+    {
+        version: 7,
+        description: 'Give existing sales sequential receipt numbers (oldest first)',
+        up(data) {
+            let next = data.sales.reduce((max, sale) => Math.max(max, sale.receiptNumber || 0), 0) + 1;
+
+            [...data.sales]
+                .filter(sale => !sale.receiptNumber)
+                .sort((a, b) => new Date(a.date) - new Date(b.date))
+                .forEach(sale => { sale.receiptNumber = next++; });
+        }
+    }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/*
+ * runMigrations()
+ * Runs every step newer than the stored schema version, in order.
+ * All steps work on copies. Nothing is saved unless every step succeeds,
+ * and everything (data + new version) is then saved together,
+ * so a failure part-way leaves the original data untouched.
+ */
+async function runMigrations() {
+
+    const currentVersion = cache.schemaVersion || 0;
+    const pending = MIGRATIONS.filter(step => step.version > currentVersion);
+
+    if (pending.length === 0) return;
+
+    const data = {};
+    COLLECTIONS.forEach(key => {
+        data[key] = clone(cache[key] || []);
+    });
+
+    try {
+        pending.forEach(step => {
+            console.info(`Running migration ${step.version}: ${step.description}`);
+            step.up(data);
+        });
+
+        if (db) {
+            await writeChanges(data, { schemaVersion: SCHEMA_VERSION });
+        } else {
+            saveAllToLocalStorage(data, SCHEMA_VERSION);
+        }
+
+    } catch (error) {
+        console.error('Data migration failed. Your data was left unchanged.', error);
+        alert("Data upgrade failed. Your data was left unchanged, but some features may not work correctly.");
+        return;
+    }
+
+    // Only now does the app see the upgraded data
+    Object.assign(cache, data);
+    cache.schemaVersion = SCHEMA_VERSION;
+}
+
+/*
+ * saveAllToLocalStorage(data, version)
+ * localStorage fallback for runMigrations(). If any write fails
+ * (e.g. storage full) the keys already written are put back.
+ */
+function saveAllToLocalStorage(data, version) {
+
+    const originals = {};
+    const keys = [...Object.keys(data), 'schemaVersion'];
+    keys.forEach(key => { originals[key] = localStorage.getItem(key); });
+
+    try {
+        Object.entries(data).forEach(([key, records]) => {
+            localStorage.setItem(key, JSON.stringify(records));
+            localSnapshots[key] = localStorage.getItem(key);
+        });
+        localStorage.setItem('schemaVersion', JSON.stringify(version));
+
+    } catch (error) {
+        keys.forEach(key => {
+            if (originals[key] === null) localStorage.removeItem(key);
+            else localStorage.setItem(key, originals[key]);
+        });
+        throw error;
+    }
+}
+
+
+// ===============================
+// ASYNC API
+// ===============================
+
+/*
+ * initializeStorage()
+ * Opens the database, moves old localStorage data across and loads
+ * everything into memory. app.js waits for this before it renders.
+ */
+async function initializeStorage() {
+
+    try {
+        if (!window.indexedDB) throw new Error('IndexedDB not supported');
+
+        db = await openDatabase();
+        await loadAllFromDatabase();
+        await migrateFromLocalStorage();
+
+    } catch (error) {
+        console.warn('IndexedDB unavailable, using localStorage instead.', error);
+        db = null;
+
+        COLLECTIONS.forEach(key => {
+            localSnapshots[key] = localStorage.getItem(key);
+            cache[key] = readLocalStorageKey(key, []);
+
+            // The next save would overwrite it: keep the unreadable copy aside
+            if (unreadableKeys.includes(key) && localStorage.getItem(`${key}.unreadable`) === null) {
+                try {
+                    localStorage.setItem(`${key}.unreadable`, localSnapshots[key]);
+                } catch (copyError) {
+                    console.error(`Could not keep a copy of the unreadable "${key}".`, copyError);
+                }
+            }
+        });
+        cache.schemaVersion = readLocalStorageKey('schemaVersion', 0);
+
+        // Settings (last backup date, etc.) are single values saved under their own key
+        Object.keys(localStorage)
+            .filter(key => !isCollection(key) && key !== 'schemaVersion')
+            .forEach(key => {
+                try {
+                    cache[key] = JSON.parse(localStorage.getItem(key));
+                } catch (parseError) {
+                    // Not ours (another app on the same page origin) - ignore it
+                }
+            });
+    }
+
+    await runMigrations();
+}
+
+/*
+ * writeChanges(collections, metaValues, appended, allOrNothing, metaBases)
+ * Writes several collections and meta values in ONE transaction,
+ * so either all of it is saved or none of it is.
+ * Only records that were added, changed or removed since the last save are touched.
+ * appended: { collection: [new records] } for lists that only ever grow
+ * (the audit log), so the whole list doesn't have to be compared every time.
+ *
+ * Another tab may have saved the same record since this tab loaded it.
+ * Each record is checked against what is in the database right now
+ * (see getWriteDecision) and a change made on stale data is not written -
+ * the other tab's version is kept and reported through onStorageChange().
+ * With allOrNothing (see setDataTogether) one such record means nothing
+ * at all is written, and memory is reloaded from the database.
+ * metaBases ({ key: JSON this tab last read }, allOrNothing only) checks
+ * meta values too, e.g. the receipt counter saved with a sale.
+ */
+function writeChanges(collections, metaValues = {}, appended = {}, allOrNothing = false, metaBases = {}) {
+
+    const write = async () => {
+
+        const tx = db.transaction([RECORDS_STORE, META_STORE], 'readwrite');
+        const store = tx.objectStore(RECORDS_STORE);
+        const metaStore = tx.objectStore(META_STORE);
+
+        // Applied to `persisted` only after the transaction commits
+        const updates = [];
+        const conflicts = [];
+
+        for (const [key, records] of Object.entries(collections)) {
+
+            const saved = persisted[key] || new Map();
+            const seenIds = new Set();
+            const changes = []; // { id, record (null = deleted), json, previous }
+
+            records.forEach(record => {
+                const json = JSON.stringify(record);
+                const previous = saved.get(record.id);
+                seenIds.add(record.id);
+
+                if (previous && previous.json === json) return; // unchanged
+
+                changes.push({ id: record.id, record, json, previous });
+            });
+
+            // Records no longer in the array were deleted
+            Array.from(saved.keys()).forEach(id => {
+                if (!seenIds.has(id)) changes.push({ id, record: null, json: null, previous: saved.get(id) });
+            });
+
+            if (!changes.length) continue;
+
+            // What is in the database now, which may be newer than what this tab saw
+            const rows = await Promise.all(changes.map(change => requestToPromise(store.get([key, change.id]))));
+
+            changes.forEach((change, index) => {
+
+                const row = rows[index];
+                const decision = getWriteDecision(
+                    change.previous ? change.previous.json : null,
+                    change.json,
+                    row ? JSON.stringify(row.value) : null
+                );
+
+                if (decision === 'conflict') {
+                    conflicts.push({ key, id: change.id, stored: row ? row : null });
+                    return;
+                }
+
+                if (change.record === null) {
+                    if (decision === 'write') store.delete([key, change.id]);
+                    updates.push(() => saved.delete(change.id));
+                    return;
+                }
+
+                const position = change.previous ? change.previous.position : row ? row.position : nextPosition++;
+
+                if (decision === 'write') {
+                    store.put({
+                        collection: key,
+                        id: change.id,
+                        date: change.record.date || '',
+                        position,
+                        value: change.record
+                    });
+                }
+
+                updates.push(() => saved.set(change.id, { json: change.json, position }));
+            });
+
+            updates.push(() => { persisted[key] = saved; });
+        }
+
+        if (allOrNothing) {
+            for (const [key, baseJson] of Object.entries(metaBases)) {
+                const row = await requestToPromise(metaStore.get(key));
+
+                // Any change is a conflict: two tabs moving a counter to the same
+                // value have both used the number it was on
+                if ((row ? JSON.stringify(row.value) : null) !== baseJson) {
+                    conflicts.push({ key, id: null, stored: row ? { value: row.value } : null });
+                }
+            }
+        }
+
+        if (allOrNothing && conflicts.length) {
+            tx.abort();
+            await transactionDone(tx).catch(() => {}); // aborting is expected here
+
+            const keys = [...Object.keys(collections), ...Object.keys(metaValues), ...Object.keys(appended)];
+            await refreshFromDatabase(keys);
+
+            notifyChange(keys, conflicts.map(({ key, id, stored }) => ({ key, id, record: stored ? clone(stored.value) : null })));
+            return;
+        }
+
+        // Audit entries of changes that were turned down are dropped with them
+        const rejected = new Set(conflicts.map(conflict => `${conflict.key}:${conflict.id}`));
+        const droppedIds = new Set();
+
+        Object.entries(appended).forEach(([key, records]) => {
+
+            if (!persisted[key]) persisted[key] = new Map();
+
+            records.forEach(record => {
+                if (rejected.has(`${record.entity}:${record.recordId}`)) {
+                    droppedIds.add(record.id);
+                    return;
+                }
+
+                const position = nextPosition++;
+
+                store.put({ collection: key, id: record.id, date: record.date || '', position, value: record });
+                updates.push(() => persisted[key].set(record.id, { json: JSON.stringify(record), position }));
+            });
+        });
+
+        Object.entries(metaValues).forEach(([key, value]) => {
+            metaStore.put({ key, value });
+        });
+
+        await transactionDone(tx);
+        updates.forEach(update => update());
+
+        if (conflicts.length) keepStoredVersions(conflicts, droppedIds);
+
+        announceChange([...Object.keys(collections), ...Object.keys(metaValues), ...Object.keys(appended)]);
+
+        // Only now are the changes really saved (sync.js queues them for the server)
+        announceRecordChanges((appended[AUDIT_LOG] || []).filter(entry => !droppedIds.has(entry.id)));
+    };
+
+    writeQueue = writeQueue.then(write, write);
+    return writeQueue;
+}
+
+/*
+ * saveRecords(key, records)
+ * Writes one collection to IndexedDB.
+ */
+function saveRecords(key, records) {
+    return writeChanges({ [key]: records });
+}
+
+/*
+ * saveMeta(key, value)
+ * Saves a single (non-array) value.
+ */
+function saveMeta(key, value) {
+    cache[key] = value;
+    return writeChanges({}, { [key]: value });
+}
+
+/*
+ * flushStorage()
+ * Resolves when every pending write has reached IndexedDB
+ * (or failed - see undoFailedSave).
+ */
+function flushStorage() {
+    return writeQueue.then(() => {}, () => {});
+}
+
+/*
+ * reloadFromStorage(keys)
+ * Reads the given keys again from storage into memory. Used for what is
+ * really saved after a failed save, and for the keys other tabs don't
+ * announce (see UNANNOUNCED_KEYS).
+ */
+function reloadFromStorage(keys) {
+
+    if (!db) {
+        keys.forEach(key => {
+            const text = localStorage.getItem(key);
+            if (text === null) delete cache[key];
+            else cache[key] = JSON.parse(text);
+            if (isCollection(key)) localSnapshots[key] = text;
+        });
+        return Promise.resolve();
+    }
+
+    // Queued like any write, so nothing half-saved is read back
+    const refresh = () => refreshFromDatabase(keys);
+    writeQueue = writeQueue.then(refresh, refresh);
+    return writeQueue;
+}
+
+/*
+ * undoFailedSave(keys, error)
+ * A save did not reach storage (device full, write aborted...).
+ * Memory is put back to what is really saved, so nothing looks saved that
+ * will be gone on the next reload, and the user is told.
+ */
+async function undoFailedSave(keys, error) {
+
+    console.error(`Failed to save "${keys.join('", "')}".`, error);
+
+    try {
+        await reloadFromStorage(keys);
+    } catch (reloadError) {
+        console.error('Could not reload the saved data.', reloadError);
+    }
+
+    notifyChange(keys);
+
+    alert(
+        "Your last change could not be saved, so it has been undone.\n\n" +
+        "The device may be running out of storage space. Make a backup, free up some space and try again."
+    );
+}
+
+
+// ===============================
+// MULTI-TAB SYNC
+// ===============================
+
+/*
+ * The app can be open in more than one tab at once. Each tab keeps its own
+ * copy of the data in memory, so after every save the other tabs are told
+ * which keys changed and reload them:
+ * - IndexedDB:    a BroadcastChannel message after the transaction commits
+ * - localStorage: the browser's own "storage" event
+ *
+ * A tab can still save a change based on data that another tab has changed
+ * in the meantime. Those writes are checked record by record, see getWriteDecision().
+ * An action that spans several collections (a sale and its stock) is saved
+ * with setDataTogether(), so it is kept or turned down as a whole.
+ *
+ * app.js registers with onStorageChange(listener) to refresh its state:
+ * listener(keys, conflicts) - conflicts: [{ key, id, record }] where record
+ * is the version that was kept (null = the other tab deleted it).
+ */
+const SYNC_CHANNEL_NAME = 'shopManagementSync';
+
+const syncChannel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(SYNC_CHANNEL_NAME) : null;
+const changeListeners = [];
+const localSnapshots = {}; // localStorage fallback: collection -> the JSON text this tab last read or wrote
+
+// Written every few seconds by the tab that syncs with the shop server (sync.js).
+// Telling every other tab each time would make them all reload and redraw
+// for nothing - sync.js reads them with reloadFromStorage() when it needs them.
+const UNANNOUNCED_KEYS = ['syncState', 'syncOutbox'];
+
+function onStorageChange(listener) {
+    changeListeners.push(listener);
+}
+
+function notifyChange(keys, conflicts = []) {
+    changeListeners.forEach(listener => {
+        try {
+            listener(keys, conflicts);
+        } catch (error) {
+            console.error('Storage change listener failed.', error);
+        }
+    });
+}
+
+/*
+ * getWriteDecision(baseJson, ourJson, storedJson)
+ * One record, as JSON text (null = does not exist):
+ *   baseJson   - what this tab last read or saved
+ *   ourJson    - what this tab wants to save now
+ *   storedJson - what is actually saved right now
+ * Returns 'write' (nobody else touched it), 'same' (the other tab already
+ * saved exactly this) or 'conflict' (both changed it - the saved one is kept).
+ */
+function getWriteDecision(baseJson, ourJson, storedJson) {
+    if (storedJson === baseJson) return 'write';
+    if (storedJson === ourJson) return 'same';
+    return 'conflict';
+}
+
+/*
+ * keepStoredVersions(conflicts, droppedAuditIds)
+ * After an IndexedDB write: puts the other tab's version of every
+ * conflicting record back into memory and tells app.js.
+ */
+function keepStoredVersions(conflicts, droppedAuditIds) {
+
+    conflicts.forEach(({ key, id, stored }) => {
+
+        const records = cache[key];
+        const index = records.findIndex(record => record.id === id);
+
+        if (stored) {
+            if (index === -1) records.push(stored.value);
+            else records[index] = stored.value;
+            persisted[key].set(id, { json: JSON.stringify(stored.value), position: stored.position });
+        } else {
+            if (index !== -1) records.splice(index, 1);
+            persisted[key].delete(id);
+        }
+    });
+
+    cache[AUDIT_LOG] = cache[AUDIT_LOG].filter(entry => !droppedAuditIds.has(entry.id));
+
+    notifyChange(
+        [...new Set(conflicts.map(conflict => conflict.key))],
+        conflicts.map(({ key, id, stored }) => ({ key, id, record: stored ? clone(stored.value) : null }))
+    );
+}
+
+// Tell the other tabs what was just saved
+function announceChange(keys) {
+
+    const announced = keys.filter(key => !UNANNOUNCED_KEYS.includes(key));
+
+    if (syncChannel && announced.length) syncChannel.postMessage({ keys: announced });
+}
+
+/*
+ * refreshFromDatabase(keys)
+ * Reloads the given collections / settings from IndexedDB into memory.
+ */
+async function refreshFromDatabase(keys) {
+
+    const tx = db.transaction([RECORDS_STORE, META_STORE], 'readonly');
+
+    for (const key of keys) {
+
+        if (!isCollection(key)) {
+            const row = await requestToPromise(tx.objectStore(META_STORE).get(key));
+            if (row) cache[key] = row.value;
+            else delete cache[key];
+            continue;
+        }
+
+        const rows = await requestToPromise(
+            tx.objectStore(RECORDS_STORE).index('collection').getAll(key)
+        );
+        rows.sort((a, b) => a.position - b.position);
+
+        cache[key] = rows.map(row => row.value);
+        persisted[key] = new Map(rows.map(row => [row.id, { json: JSON.stringify(row.value), position: row.position }]));
+
+        // New records from this tab go after the other tab's
+        rows.forEach(row => { nextPosition = Math.max(nextPosition, row.position + 1); });
+    }
+}
+
+if (syncChannel) {
+    syncChannel.addEventListener('message', event => {
+
+        if (!db) return;
+
+        const keys = event.data.keys;
+
+        // Queued behind this tab's own writes, so nothing half-saved is read back
+        const refresh = () => refreshFromDatabase(keys).then(() => notifyChange(keys));
+        writeQueue = writeQueue.then(refresh, refresh);
+        writeQueue.catch(error => console.error('Could not reload changes from another tab.', error));
+    });
+}
+
+// localStorage fallback: the browser tells every other tab about each setItem
+window.addEventListener('storage', event => {
+
+    if (db || event.storageArea !== localStorage || event.key === null) return;
+    if (UNANNOUNCED_KEYS.includes(event.key)) return;
+
+    const key = event.key;
+
+    try {
+        if (event.newValue === null) delete cache[key];
+        else cache[key] = JSON.parse(event.newValue);
+    } catch (error) {
+        return; // not one of ours
+    }
+
+    if (isCollection(key)) localSnapshots[key] = event.newValue;
+
+    notifyChange([key]);
+});
+
+/*
+ * mergeWithStoredCopy(key, records)
+ * localStorage fallback: saves one collection without losing what another
+ * tab saved since this tab last read it. Only the records this tab actually
+ * changed are applied on top of the saved copy.
+ * Returns the list of conflicts (records both tabs changed - theirs is kept).
+ */
+function mergeWithStoredCopy(key, records) {
+
+    const { text, merged, conflicts } = planMerge(key, records);
+
+    localStorage.setItem(key, text);
+    localSnapshots[key] = text;
+    cache[key] = merged;
+
+    return conflicts;
+}
+
+/*
+ * planMerge(key, records)
+ * Works out what mergeWithStoredCopy() would save, without saving it.
+ * Returns { text, merged, conflicts }.
+ */
+function planMerge(key, records) {
+
+    const storedText = localStorage.getItem(key);
+
+    // Nobody else wrote it: save as it is
+    if (storedText === localSnapshots[key]) {
+        return { text: JSON.stringify(records), merged: records, conflicts: [] };
+    }
+
+    const toJson = record => record === undefined ? null : JSON.stringify(record);
+    const base = new Map((JSON.parse(localSnapshots[key] || '[]') || []).map(record => [record.id, record]));
+    const ours = new Map(records.map(record => [record.id, record]));
+    const merged = JSON.parse(storedText || '[]') || [];
+    const conflicts = [];
+
+    new Set([...ours.keys(), ...base.keys()]).forEach(id => {
+
+        const ourJson = toJson(ours.get(id));
+        if (ourJson === toJson(base.get(id))) return; // not changed here
+
+        const index = merged.findIndex(record => record.id === id);
+        const decision = getWriteDecision(toJson(base.get(id)), ourJson, toJson(merged[index]));
+
+        if (decision === 'conflict') {
+            conflicts.push({ key, id, record: index === -1 ? null : clone(merged[index]) });
+        } else if (decision === 'write') {
+            if (ourJson === null) merged.splice(index, 1);
+            else if (index === -1) merged.push(ours.get(id));
+            else merged[index] = ours.get(id);
+        }
+    });
+
+    return { text: JSON.stringify(merged), merged, conflicts };
+}
+
+
+// ===============================
+// BACKUP & RESTORE
+// ===============================
+
+const BACKUP_APP_NAME = 'shopManagementSystem';
+const BACKUP_VERSION = 1;
+
+// Keys that describe this browser, not the shop, so they are never backed up
+const LOCAL_ONLY_META = ['schemaVersion', 'migratedFromLocalStorage', 'lastBackupDate', 'syncSettings', 'syncState'];
+const LOCAL_ONLY_COLLECTIONS = ['syncOutbox'];
+
+/*
+ * calculateChecksum(text)
+ * FNV-1a hash of the text as 8 hex characters.
+ * Catches files that were cut short or edited by hand - it is not a security signature.
+ */
+function calculateChecksum(text) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+
+    return hash.toString(16).padStart(8, '0');
+}
+
+/*
+ * createBackup()
+ * Every collection plus the shop settings, in one versioned object:
+ * { app, backupVersion, schemaVersion, createdAt, data, meta, checksum }
+ */
+function createBackup() {
+
+    const data = {};
+    COLLECTIONS
+        .filter(key => !LOCAL_ONLY_COLLECTIONS.includes(key))
+        .forEach(key => { data[key] = clone(cache[key] || []); });
+
+    const meta = {};
+    Object.keys(cache)
+        .filter(key => !isCollection(key) && !LOCAL_ONLY_META.includes(key))
+        .forEach(key => { meta[key] = clone(cache[key]); });
+
+    return {
+        app: BACKUP_APP_NAME,
+        backupVersion: BACKUP_VERSION,
+        schemaVersion: SCHEMA_VERSION,
+        createdAt: new Date().toISOString(),
+        data,
+        meta,
+        checksum: calculateChecksum(JSON.stringify({ data, meta }))
+    };
+}
+
+/*
+ * validateBackup(backup)
+ * Returns a list of problems (empty = the file can be restored).
+ */
+function validateBackup(backup) {
+
+    if (!backup || typeof backup !== 'object' || backup.app !== BACKUP_APP_NAME) {
+        return ['This is not a Shop Management backup file.'];
+    }
+
+    const errors = [];
+
+    if (backup.backupVersion > BACKUP_VERSION || backup.schemaVersion > SCHEMA_VERSION) {
+        errors.push('This backup was made by a newer version of the app. Please update the app first.');
+    }
+
+    if (!backup.data || typeof backup.data !== 'object') {
+        return [...errors, 'The backup has no data.'];
+    }
+
+    COLLECTIONS.forEach(key => {
+        const records = backup.data[key];
+        if (records === undefined) return; // older backups may not have every collection
+
+        if (!Array.isArray(records)) {
+            errors.push(`"${key}" is not a list of records.`);
+        } else if (records.some(record => !record || record.id === undefined)) {
+            errors.push(`Some "${key}" records have no id.`);
+        }
+    });
+
+    const checksum = calculateChecksum(JSON.stringify({ data: backup.data, meta: backup.meta || {} }));
+    if (checksum !== backup.checksum) {
+        errors.push('The checksum does not match. The file is damaged or was edited.');
+    }
+
+    return errors;
+}
+
+/*
+ * restoreBackup(backup, mode)
+ * mode 'replace': the backup becomes the shop's data.
+ * mode 'merge':   records are matched by id - the backup's copy wins,
+ *                 records that only exist here are kept.
+ * Older backups are upgraded with the same MIGRATIONS first.
+ * Everything is written together, so a failure leaves the current data as it was.
+ */
+async function restoreBackup(backup, mode) {
+
+    const incoming = {};
+    COLLECTIONS.forEach(key => {
+        incoming[key] = clone(backup.data[key] || []);
+    });
+
+    MIGRATIONS
+        .filter(step => step.version > (backup.schemaVersion || 0))
+        .forEach(step => step.up(incoming));
+
+    const data = {};
+
+    COLLECTIONS.forEach(key => {
+        if (key === AUDIT_LOG) return; // handled below - the trail is never replaced
+
+        if (LOCAL_ONLY_COLLECTIONS.includes(key)) {
+            data[key] = clone(cache[key] || []);
+            return;
+        }
+
+        if (mode === 'replace') {
+            data[key] = incoming[key];
+            return;
+        }
+
+        const merged = clone(cache[key] || []);
+        const indexById = new Map(merged.map((record, index) => [record.id, index]));
+
+        incoming[key].forEach(record => {
+            if (indexById.has(record.id)) merged[indexById.get(record.id)] = record;
+            else merged.push(record);
+        });
+
+        data[key] = merged;
+    });
+
+    // Keep every audit entry from both sides, then log what the restore itself changed
+    const auditLog = clone(cache[AUDIT_LOG] || []);
+    const knownIds = new Set(auditLog.map(entry => entry.id));
+
+    incoming[AUDIT_LOG].forEach(entry => {
+        if (!knownIds.has(entry.id)) auditLog.push(entry);
+    });
+
+    const restoreEntries = [];
+
+    AUDITED_COLLECTIONS.forEach(key => {
+        restoreEntries.push(...getAuditEntries(key, cache[key] || [], data[key]));
+    });
+
+    auditLog.push(...restoreEntries);
+    data[AUDIT_LOG] = auditLog;
+
+    // Settings: replace takes the backup's, merge only fills in what is missing here
+    const meta = {};
+    Object.entries(backup.meta || {}).forEach(([key, value]) => {
+        if (LOCAL_ONLY_META.includes(key)) return;
+        if (mode === 'replace' || cache[key] === undefined) meta[key] = value;
+    });
+
+    if (db) {
+        await writeChanges(data, { ...meta, schemaVersion: SCHEMA_VERSION });
+    } else {
+        saveAllToLocalStorage(data, SCHEMA_VERSION);
+        Object.entries(meta).forEach(([key, value]) => {
+            localStorage.setItem(key, JSON.stringify(value));
+        });
+    }
+
+    Object.assign(cache, data, meta);
+    cache.schemaVersion = SCHEMA_VERSION;
+
+    // Like any other change, so sync sends the restored records to the shop server.
+    // Waited for, because the app reloads straight after a restore.
+    await announceRecordChanges(restoreEntries, false);
+    await flushStorage();
+}
+
+
+// ===============================
+// AUDIT LOG
+// ===============================
+
+/*
+ * Every create / update / delete of the collections below is written to
+ * the "auditLog" collection by setData() itself, so no module can forget.
+ *
+ * Entry: { id, date, entity, recordId, action: 'create' | 'update' | 'delete',
+ *          before, after, staffId, staffName }
+ * before is null for a create, after is null for a delete.
+ *
+ * The log is append-only: setData('auditLog', ...) is refused.
+ * Old entries can only be archived by an owner (see archiveAuditLog).
+ */
+const AUDIT_LOG = 'auditLog';
+const AUDITED_COLLECTIONS = ['products', 'sales', 'expenses', 'payments', 'supplierPayments'];
+
+let auditUser = { staffId: null, staffName: null }; // who is making changes right now
+let auditCounter = 0;                               // keeps ids unique within one millisecond
+
+const recordChangeListeners = [];
+
+/*
+ * onRecordChange(listener)
+ * listener(entries, oneAction) runs once a create / update / delete made in
+ * THIS tab has been saved, with the same entries that go into the audit log
+ * (sync.js uses it). Changes another tab won (see writeChanges) are left out.
+ * oneAction is true when the entries belong together (a sale and its stock)
+ * and false for a backup restore, where every record stands on its own.
+ */
+function onRecordChange(listener) {
+    recordChangeListeners.push(listener);
+}
+
+// Resolves when every listener is done (a listener may return a promise)
+function announceRecordChanges(entries, oneAction = true) {
+    if (!entries.length) return Promise.resolve();
+
+    return Promise.all(recordChangeListeners.map(listener =>
+        Promise.resolve()
+            .then(() => listener(entries, oneAction))
+            .catch(error => console.error('Record change listener failed.', error))
+    ));
+}
+
+// Called by app.js when someone signs in or out
+function setAuditUser(stamp) {
+    auditUser = { staffId: stamp.staffId || null, staffName: stamp.staffName || null };
+}
+
+/*
+ * getAuditEntries(key, before, after)
+ * Compares the old and new copy of a collection and returns one entry
+ * per record that was added, changed or removed.
+ */
+function getAuditEntries(key, before, after) {
+
+    const date = new Date().toISOString();
+    const entries = [];
+    const oldById = new Map(before.map(record => [record.id, record]));
+    const newIds = new Set();
+
+    const addEntry = (recordId, action, oldRecord, newRecord) => {
+        entries.push({
+            id: `audit_${Date.now()}_${auditCounter++}`,
+            date,
+            entity: key,
+            recordId,
+            action,
+            before: clone(oldRecord) || null,
+            after: clone(newRecord) || null,
+            ...auditUser
+        });
+    };
+
+    after.forEach(record => {
+        const oldRecord = oldById.get(record.id);
+        newIds.add(record.id);
+
+        if (!oldRecord) {
+            addEntry(record.id, 'create', null, record);
+        } else if (JSON.stringify(oldRecord) !== JSON.stringify(record)) {
+            addEntry(record.id, 'update', oldRecord, record);
+        }
+    });
+
+    before.forEach(record => {
+        if (!newIds.has(record.id)) addEntry(record.id, 'delete', record, null);
+    });
+
+    return entries;
+}
+
+/*
+ * getAuditPage(matches, offset, limit)
+ * The log newest first, one page at a time. matches(entry) picks the
+ * entries that count; only the ones on the page are copied, not the whole log.
+ * Returns { entries, total } - total is how many entries match.
+ */
+function getAuditPage(matches, offset, limit) {
+
+    const log = cache[AUDIT_LOG] || [];
+    const entries = [];
+    let total = 0;
+
+    for (let i = log.length - 1; i >= 0; i--) {
+        if (!matches(log[i])) continue;
+        if (total >= offset && total < offset + limit) entries.push(clone(log[i]));
+        total++;
+    }
+
+    return { entries, total };
+}
+
+/*
+ * archiveAuditLog(beforeDate)
+ * Removes the entries dated before beforeDate (ISO text), so the log -
+ * which is kept in memory like everything else - doesn't grow forever.
+ * This is the only way anything leaves the log: app.js downloads the
+ * entries to a file first, and only an owner can do it.
+ * Resolves with how many entries were removed (0 if the save failed).
+ */
+function archiveAuditLog(beforeDate) {
+
+    const kept = cache[AUDIT_LOG].filter(entry => entry.date >= beforeDate);
+    const removed = cache[AUDIT_LOG].length - kept.length;
+
+    if (!removed) return Promise.resolve(0);
+
+    cache[AUDIT_LOG] = kept;
+
+    if (!db) {
+        try {
+            mergeWithStoredCopy(AUDIT_LOG, kept);
+        } catch (error) {
+            return undoFailedSave([AUDIT_LOG], error).then(() => 0);
+        }
+        return Promise.resolve(removed);
+    }
+
+    return writeChanges({ [AUDIT_LOG]: kept })
+        .then(() => removed, error => undoFailedSave([AUDIT_LOG], error).then(() => 0));
+}
+
+
+// ===============================
+// SYNC HELPERS USED BY APP.JS
+// ===============================
+
+// Get data safely (returns a copy, just like reading from localStorage did)
 function getData(key) {
-    return JSON.parse(localStorage.getItem(key)) || [];
+    const value = cache[key];
+    return value === undefined ? [] : clone(value);
+}
+
+// Get a single setting, or defaultValue if it was never saved
+function getSetting(key, defaultValue) {
+    const value = cache[key];
+    return value === undefined ? defaultValue : clone(value);
 }
 
-// Save data safely
+// Save data safely (memory first, database in the background)
 function setData(key, value) {
-    localStorage.setItem(key, JSON.stringify(value));
+
+    if (key === AUDIT_LOG) {
+        console.error('The audit log is append-only and cannot be overwritten.');
+        return Promise.resolve();
+    }
+
+    const auditEntries = AUDITED_COLLECTIONS.includes(key)
+        ? getAuditEntries(key, cache[key] || [], value)
+        : [];
+
+    cache[key] = clone(value);
+    if (auditEntries.length) cache[AUDIT_LOG].push(...auditEntries);
+
+    // What to put back if the save fails
+    const savedKeys = auditEntries.length ? [key, AUDIT_LOG] : [key];
+
+    if (!db) {
+        if (!isCollection(key)) {
+            try {
+                localStorage.setItem(key, JSON.stringify(value));
+            } catch (error) {
+                return undoFailedSave(savedKeys, error);
+            }
+            return Promise.resolve();
+        }
+
+        // Saved by another tab since we read it? Then app.js must reload after the merge
+        const stale = localStorage.getItem(key) !== localSnapshots[key];
+        let conflicts;
+        let kept;
+
+        try {
+            conflicts = mergeWithStoredCopy(key, cache[key]);
+
+            // Changes that were turned down leave no audit entry behind
+            const rejected = new Set(conflicts.map(conflict => conflict.id));
+            kept = auditEntries.filter(entry => !rejected.has(entry.recordId));
+            cache[AUDIT_LOG] = cache[AUDIT_LOG].filter(entry => !auditEntries.includes(entry) || kept.includes(entry));
+
+            if (kept.length) mergeWithStoredCopy(AUDIT_LOG, cache[AUDIT_LOG]);
+        } catch (error) {
+            return undoFailedSave(savedKeys, error);
+        }
+
+        if (stale) notifyChange([key], conflicts);
+
+        announceRecordChanges(kept);
+        return Promise.resolve();
+    }
+
+    // The change and its audit entries are saved in the same transaction
+    const promise = isCollection(key)
+        ? writeChanges({ [key]: cache[key] }, {}, { [AUDIT_LOG]: auditEntries })
+        : saveMeta(key, cache[key]);
+
+    return promise.catch(error => undoFailedSave(savedKeys, error));
+}
+
+/*
+ * setDataTogether({ collection: records, setting: value, ... })
+ * Saves several collections that make up ONE action - e.g. a sale is its
+ * stock, its stock movements and the sale itself - all or nothing.
+ * If another tab changed any record involved, none of it is saved:
+ * memory is reloaded and the conflicts are reported through onStorageChange(),
+ * so a sale can never be kept without the stock it took.
+ * Settings can be part of the action too (the receipt counter); one another
+ * tab changed since this tab read it is a conflict with id null.
+ */
+function setDataTogether(values) {
+
+    const keys = Object.keys(values);
+    const collectionKeys = keys.filter(isCollection);
+    const settingKeys = keys.filter(key => !isCollection(key));
+    const auditEntries = [];
+
+    // What each setting was when this tab read it
+    const settingBases = {};
+    settingKeys.forEach(key => {
+        settingBases[key] = cache[key] === undefined ? null : JSON.stringify(cache[key]);
+    });
+
+    keys.forEach(key => {
+        if (AUDITED_COLLECTIONS.includes(key)) {
+            auditEntries.push(...getAuditEntries(key, cache[key] || [], values[key]));
+        }
+        cache[key] = clone(values[key]);
+    });
+
+    if (auditEntries.length) cache[AUDIT_LOG].push(...auditEntries);
+
+    const savedKeys = auditEntries.length ? [...keys, AUDIT_LOG] : keys;
+
+    if (!db) {
+        let plans;
+
+        try {
+            plans = collectionKeys.map(key => ({ key, stale: localStorage.getItem(key) !== localSnapshots[key], ...planMerge(key, cache[key]) }));
+        } catch (error) {
+            return undoFailedSave(savedKeys, error);
+        }
+
+        const conflicts = [
+            ...plans.flatMap(plan => plan.conflicts),
+            ...settingKeys
+                .filter(key => localStorage.getItem(key) !== settingBases[key])
+                .map(key => ({ key, id: null, record: JSON.parse(localStorage.getItem(key)) }))
+        ];
+
+        // Turned down: put back what the other tab saved, for every key
+        if (conflicts.length) {
+            cache[AUDIT_LOG] = cache[AUDIT_LOG].filter(entry => !auditEntries.includes(entry));
+            reloadFromStorage(keys);
+            notifyChange(keys, conflicts);
+            return Promise.resolve();
+        }
+
+        // localStorage has no transactions: if one key can't be saved, the others are put back
+        const previousTexts = keys.map(key => localStorage.getItem(key));
+
+        try {
+            plans.forEach(({ key, text, merged }) => {
+                localStorage.setItem(key, text);
+                localSnapshots[key] = text;
+                cache[key] = merged;
+            });
+            settingKeys.forEach(key => localStorage.setItem(key, JSON.stringify(cache[key])));
+            if (auditEntries.length) mergeWithStoredCopy(AUDIT_LOG, cache[AUDIT_LOG]);
+        } catch (error) {
+            keys.forEach((key, index) => {
+                if (previousTexts[index] === null) localStorage.removeItem(key);
+                else localStorage.setItem(key, previousTexts[index]);
+            });
+            return undoFailedSave(savedKeys, error);
+        }
+
+        const staleKeys = plans.filter(plan => plan.stale).map(plan => plan.key);
+        if (staleKeys.length) notifyChange(staleKeys);
+
+        announceRecordChanges(auditEntries);
+        return Promise.resolve();
+    }
+
+    const collections = {};
+    collectionKeys.forEach(key => { collections[key] = cache[key]; });
+
+    const settings = {};
+    settingKeys.forEach(key => { settings[key] = cache[key]; });
+
+    const promise = writeChanges(collections, settings, { [AUDIT_LOG]: auditEntries }, true, settingBases);
+
+    return promise.catch(error => undoFailedSave(savedKeys, error));
 }
 
 
@@ -0,0 +1,545 @@
+// ===============================
+// SHOP SERVER SYNC
+// ===============================
+
+/*
+ * Optional: keeps products, sales, expenses and payments in step with a
+ * shop server, so the owner can see the shop's numbers from anywhere.
+ * Loaded after storage.js and before app.js. A small server to test with
+ * lives in server/sync-server.js.
+ *
+ * How it works
+ * - Every change saved in this browser (see onRecordChange in storage.js)
+ *   is first put in the "syncOutbox" collection. Nothing is lost while the
+ *   internet is down - the outbox is simply sent later.
+ * - syncNow() pushes the outbox, then pulls everything the server has
+ *   seen since the last pull.
+ * - The server gives every record a revision number (rev) that goes up on
+ *   each change. The last rev seen of each record is kept in "syncState".
+ *
+ * Conflicts (the same record changed here and on another device)
+ * - Updates only send the fields that changed, so edits to different
+ *   fields of the same record both survive.
+ * - Running totals - product stock and what a credit sale has been paid -
+ *   are sent as a change (+5 / -2), never as a total, so sales rung up on
+ *   two tills at once are both taken off the stock, and two payments on the
+ *   same sale both count. The server keeps the cost layers in step with the
+ *   stock (see server/sync-server.js).
+ * - A delete is refused if someone else changed the record since we last saw
+ *   it: the record comes back here instead of vanishing everywhere.
+ * - A new record whose id the server already has keeps the server's copy.
+ *
+ * The server is reached through an adapter, so another kind of backend can be
+ * plugged in with setSyncAdapter(adapter):
+ *   push(clientId, changes) -> Promise<{ results: [serverRecord] }>
+ *   pull(since)             -> Promise<{ seq, more, records: [serverRecord] }>
+ * serverRecord: { collection, id, rev, seq, deleted, value }
+ */
+
+const SYNCED_COLLECTIONS = ['products', 'sales', 'expenses', 'payments'];
+const SYNC_OUTBOX = 'syncOutbox';
+const SYNC_INTERVAL_MS = 30000;      // background sync while the app is open
+const SYNC_DELAY_MS = 2000;          // wait for a burst of changes before sending them
+const SYNC_BATCH_SIZE = 100;         // outbox changes per push request
+
+// Fields sent as "+5 / -2" instead of the new value (the server adds them up)
+const SYNC_RUNNING_TOTALS = {
+    products: ['quantity'],
+    sales: ['paidAmount', 'remainingBalance']
+};
+
+// Only one open tab talks to the server (see startSync)
+const SYNC_LOCK_NAME = 'shopManagementServerSync';
+
+// Shown as the "staff member" in the audit log for changes that came from the server.
+// fromServer keeps those changes from being queued to be sent back again.
+const SYNC_SERVER_USER = { staffId: null, staffName: 'Shop server', fromServer: true };
+
+let syncAdapter = null;          // how the server is reached (null = sync is off)
+let customSyncAdapter = null;    // set by setSyncAdapter() instead of the REST one
+let syncRunning = null;          // promise of the sync in progress (one at a time)
+let syncTimer = null;
+let syncSoonTimer = null;
+let syncingHere = false;         // true in the one tab that syncs
+let syncLockRequest = null;      // AbortController while waiting for another tab to stop syncing
+let releaseSyncLock = null;      // lets go of the lock this tab holds
+let queueing = Promise.resolve(); // outbox edits run one after another (see editOutbox)
+const syncStatusListeners = [];
+
+
+// ===============================
+// SETTINGS & STATE
+// ===============================
+
+// { enabled, url, token } - typed in on the Settings & Data page
+function getSyncSettings() {
+    return getSetting('syncSettings', { enabled: false, url: '', token: '' });
+}
+
+// { clientId, lastSeq, revs: { "products:_123": 4 }, lastSyncAt, lastError }
+// Saved by the syncing tab without telling the others - see reloadSyncState()
+function getSyncState() {
+    return getSetting('syncState', { clientId: null, lastSeq: 0, revs: {}, lastSyncAt: null, lastError: null });
+}
+
+function recordKey(collection, id) {
+    return `${collection}:${id}`;
+}
+
+// The syncing tab may be another one: read the state and outbox as saved, not this tab's copy
+function reloadSyncState() {
+    return reloadFromStorage(['syncState', SYNC_OUTBOX]);
+}
+
+/*
+ * editOutbox(edit)
+ * edit(outbox) returns the new outbox. Edits made in this tab run one after
+ * another, each starting from the outbox as saved, so none undoes another.
+ */
+function editOutbox(edit) {
+
+    queueing = queueing
+        .catch(() => {})
+        .then(async () => {
+            await reloadSyncState();
+            setData(SYNC_OUTBOX, edit(getData(SYNC_OUTBOX)));
+        });
+
+    return queueing;
+}
+
+/*
+ * saveSyncSettings(settings)
+ * The first time sync is set up, this device gets an id and everything
+ * it already has is queued, so the server starts with the full picture.
+ */
+async function saveSyncSettings(settings) {
+
+    setData('syncSettings', settings);
+
+    await editOutbox(outbox => {
+
+        const state = getSyncState();
+        if (state.clientId) return outbox;
+
+        state.clientId = `client_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+        setData('syncState', state);
+
+        const now = new Date().toISOString();
+
+        SYNCED_COLLECTIONS.forEach(collection => {
+            getData(collection).forEach(record => {
+                outbox.push({
+                    id: `upload_${state.clientId}_${collection}_${record.id}`,
+                    auditId: null,
+                    date: now,
+                    collection,
+                    recordId: record.id,
+                    action: 'create',
+                    baseRev: 0,
+                    fields: null,
+                    value: record,
+                    deltas: {}
+                });
+            });
+        });
+
+        return outbox;
+    });
+
+    startSync();
+}
+
+function setSyncAdapter(adapter) {
+    customSyncAdapter = adapter;
+    startSync();
+}
+
+function onSyncStatus(listener) {
+    syncStatusListeners.push(listener);
+}
+
+function notifySyncStatus() {
+    syncStatusListeners.forEach(listener => listener(getSyncStatus()));
+}
+
+// What the Settings page shows
+function getSyncStatus() {
+
+    const state = getSyncState();
+
+    return {
+        enabled: syncAdapter !== null,
+        here: syncingHere,
+        running: syncRunning !== null,
+        pending: getData(SYNC_OUTBOX).length,
+        lastSyncAt: state.lastSyncAt,
+        lastError: state.lastError
+    };
+}
+
+
+// ===============================
+// REST ADAPTER
+// ===============================
+
+/*
+ * createRestSyncAdapter({ url, token })
+ *   GET  {url}/changes?since=SEQ   -> records changed after SEQ
+ *   POST {url}/changes             <- { clientId, changes }
+ * token (optional) is sent as "Authorization: Bearer <token>".
+ */
+function createRestSyncAdapter(settings) {
+
+    const baseUrl = settings.url.replace(/\/+$/, '');
+
+    const request = async (path, options = {}) => {
+
+        const response = await fetch(baseUrl + path, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(settings.token ? { Authorization: `Bearer ${settings.token}` } : {})
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`The server answered ${response.status} ${response.statusText}`.trim());
+        }
+
+        return response.json();
+    };
+
+    return {
+        push: (clientId, changes) => request('/changes', {
+            method: 'POST',
+            body: JSON.stringify({ clientId, changes })
+        }),
+        pull: since => request(`/changes?since=${encodeURIComponent(since)}`)
+    };
+}
+
+
+// ===============================
+// OUTBOX: CHANGES MADE HERE
+// ===============================
+
+// Names of the fields that differ between two copies of a record
+function getChangedFields(before, after) {
+    return Array.from(new Set([...Object.keys(before), ...Object.keys(after)]))
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+// What the product's cost layers are worth in total
+function getLayersValue(product) {
+    return (product.costLayers || []).reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0);
+}
+
+/*
+ * getAddedStock(before, after)
+ * When stock went up: what the new units cost, and whether they went in
+ * front of the older ones (goods coming back) - so the server can add
+ * the same layer to its own copy. null when stock did not go up.
+ */
+function getAddedStock(before, after) {
+
+    const added = (after.quantity || 0) - (before.quantity || 0);
+    if (added <= 0) return null;
+
+    const unitCost = (getLayersValue(after) - getLayersValue(before)) / added;
+    const layersBefore = JSON.stringify(before.costLayers || []);
+
+    return {
+        unitCost: isFinite(unitCost) && unitCost >= 0 ? unitCost : after.costPrice,
+        atFront: JSON.stringify((after.costLayers || []).slice(1)) === layersBefore && layersBefore !== '[]'
+    };
+}
+
+/*
+ * toOutboxChange(entry, revs)
+ * Turns an audit entry into the change sent to the server.
+ * The audit entry's id is reused, which also lets the server ignore a change
+ * it has already applied (e.g. the answer was lost when the internet dropped).
+ */
+function toOutboxChange(entry, revs) {
+
+    const change = {
+        id: entry.id,
+        auditId: entry.id,
+        date: entry.date,
+        collection: entry.entity,
+        recordId: entry.recordId,
+        action: entry.action,
+        baseRev: revs[recordKey(entry.entity, entry.recordId)] || 0,
+        fields: entry.action === 'update' ? getChangedFields(entry.before, entry.after) : null,
+        value: entry.after,
+        deltas: {}
+    };
+
+    if (entry.action !== 'update') return change;
+
+    (SYNC_RUNNING_TOTALS[entry.entity] || []).forEach(field => {
+        const delta = (entry.after[field] || 0) - (entry.before[field] || 0);
+        if (delta !== 0) change.deltas[field] = delta;
+    });
+
+    // The layers this change started from tell the server whether they are still current
+    if (entry.entity === 'products' && change.fields.includes('costLayers')) {
+        change.layersBefore = entry.before.costLayers || [];
+        change.addedStock = getAddedStock(entry.before, entry.after);
+    }
+
+    return change;
+}
+
+/*
+ * Queue every change saved in this tab (once sync has been set up).
+ * The changes of one action (e.g. a sale deleted and its stock put back)
+ * share a group, and the server applies a group all or nothing.
+ */
+onRecordChange(function (entries, oneAction) {
+
+    const made = entries.filter(entry => !entry.fromServer && SYNCED_COLLECTIONS.includes(entry.entity));
+    if (!made.length) return Promise.resolve();
+
+    return editOutbox(outbox => {
+
+        const state = getSyncState();
+        if (!state.clientId) return outbox;
+
+        const changes = made.map(entry => toOutboxChange(entry, state.revs));
+
+        if (oneAction) changes.forEach(change => { change.group = changes[0].id; });
+
+        return [...outbox, ...changes];
+    }).then(() => {
+        notifySyncStatus();
+        scheduleSync();
+    });
+});
+
+
+// ===============================
+// PUSH & PULL
+// ===============================
+
+/*
+ * applyServerRecords(records, state)
+ * Saves the server's copy of each record here and remembers its rev.
+ * Records with changes still waiting in the outbox are left alone -
+ * the next push merges those on the server and sends the result back.
+ */
+function applyServerRecords(records, state) {
+
+    const waiting = new Set(getData(SYNC_OUTBOX).map(change => recordKey(change.collection, change.recordId)));
+    const lists = {};
+    const changed = new Set();
+
+    records.forEach(record => {
+
+        const key = recordKey(record.collection, record.id);
+        state.revs[key] = record.rev;
+
+        if (waiting.has(key) || !SYNCED_COLLECTIONS.includes(record.collection)) return;
+
+        const list = lists[record.collection] || (lists[record.collection] = getData(record.collection));
+        const index = list.findIndex(item => item.id === record.id);
+
+        if (record.deleted) {
+            if (index === -1) return;
+            list.splice(index, 1);
+        } else if (index === -1) {
+            list.push(record.value);
+        } else if (JSON.stringify(list[index]) !== JSON.stringify(record.value)) {
+            list[index] = record.value;
+        } else {
+            return; // we already have exactly this
+        }
+
+        changed.add(record.collection);
+    });
+
+    if (!changed.size) return;
+
+    // Saved like any other change, but marked as coming from the server
+    // in the audit log, and not queued to be sent back again
+    const previousUser = auditUser;
+    auditUser = SYNC_SERVER_USER;
+
+    try {
+        changed.forEach(collection => setData(collection, lists[collection]));
+    } finally {
+        auditUser = previousUser;
+    }
+
+    notifyChange(Array.from(changed));
+}
+
+async function pushOutbox(state) {
+
+    while (true) {
+
+        const sendable = getData(SYNC_OUTBOX);
+        if (!sendable.length) return;
+
+        // A group is never split over two requests
+        let size = Math.min(SYNC_BATCH_SIZE, sendable.length);
+        while (size < sendable.length && sendable[size].group && sendable[size].group === sendable[size - 1].group) {
+            size++;
+        }
+
+        const batch = sendable.slice(0, size);
+        const response = await syncAdapter.push(state.clientId, batch);
+
+        // Re-read: more changes may have been queued while the request was out
+        const sentIds = new Set(batch.map(change => change.id));
+        await editOutbox(outbox => outbox.filter(change => !sentIds.has(change.id)));
+
+        applyServerRecords(response.results || [], state);
+    }
+}
+
+async function pullChanges(state) {
+
+    let more = true;
+
+    while (more) {
+        const response = await syncAdapter.pull(state.lastSeq);
+
+        applyServerRecords(response.records || [], state);
+        state.lastSeq = response.seq;
+        more = Boolean(response.more);
+    }
+}
+
+async function runSync() {
+
+    if (!syncAdapter) return;
+
+    // Wait for changes this tab is still saving and queueing, then read what other tabs queued
+    await flushStorage();
+    await queueing.catch(() => {});
+    await reloadSyncState();
+
+    const state = getSyncState();
+    notifySyncStatus();
+
+    try {
+        await pushOutbox(state);
+        await pullChanges(state);
+
+        state.lastSyncAt = new Date().toISOString();
+        state.lastError = null;
+
+    } catch (error) {
+        state.lastError = navigator.onLine === false
+            ? 'Offline - changes will be sent when the connection is back.'
+            : `Sync failed: ${error.message}`;
+    }
+
+    setData('syncState', state);
+}
+
+/*
+ * syncNow()
+ * Pushes and pulls once. Calls made while a sync is running share it.
+ * Does nothing in a tab that is not the syncing one.
+ */
+function syncNow() {
+
+    if (!syncingHere) return Promise.resolve();
+
+    if (!syncRunning) {
+        syncRunning = runSync().finally(() => {
+            syncRunning = null;
+            notifySyncStatus();
+        });
+    }
+
+    return syncRunning;
+}
+
+// Changes made here go out shortly after, not on every keystroke
+function scheduleSync() {
+
+    if (!syncingHere) return;
+
+    clearTimeout(syncSoonTimer);
+    syncSoonTimer = setTimeout(syncNow, SYNC_DELAY_MS);
+}
+
+/*
+ * startSync()
+ * Called by app.js once storage is loaded, and again when the settings change.
+ *
+ * With the app open in several tabs only one of them syncs: the first one
+ * to get the "lock" keeps it until it is closed, then the next one takes over.
+ * Browsers without Web Locks (navigator.locks) sync in every tab.
+ */
+function startSync() {
+
+    const settings = getSyncSettings();
+
+    clearInterval(syncTimer);
+    clearTimeout(syncSoonTimer);
+    syncingHere = false;
+
+    syncAdapter = settings.enabled
+        ? customSyncAdapter || (settings.url ? createRestSyncAdapter(settings) : null)
+        : null;
+
+    if (!syncAdapter) {
+        giveUpSyncLock();
+        notifySyncStatus();
+        return;
+    }
+
+    if (!navigator.locks || releaseSyncLock) {
+        startSyncLoop();
+        return;
+    }
+
+    if (!syncLockRequest) {
+        syncLockRequest = new AbortController();
+
+        // Held (the promise never resolves) until giveUpSyncLock() or the tab closes
+        navigator.locks.request(SYNC_LOCK_NAME, { signal: syncLockRequest.signal }, () => new Promise(resolve => {
+            syncLockRequest = null;
+            releaseSyncLock = resolve;
+            startSyncLoop();
+        })).catch(() => {
+            // Sync was turned off while waiting
+        });
+    }
+
+    notifySyncStatus();
+}
+
+function startSyncLoop() {
+    syncingHere = true;
+    syncTimer = setInterval(syncNow, SYNC_INTERVAL_MS);
+    syncNow();
+}
+
+function giveUpSyncLock() {
+
+    if (syncLockRequest) {
+        syncLockRequest.abort();
+        syncLockRequest = null;
+    }
+
+    if (releaseSyncLock) {
+        releaseSyncLock();
+        releaseSyncLock = null;
+    }
+}
+
+// Back online: send what was queued straight away
+window.addEventListener('online', () => {
+    if (syncingHere) syncNow();
+});
+
+// Another tab saved a change: it has queued it, so send it soon
+onStorageChange(function (keys) {
+    if (!syncRunning && keys.some(key => SYNCED_COLLECTIONS.includes(key))) scheduleSync();
+});
@@ -0,0 +1,64 @@
+// ===============================
+// CSV HELPERS TESTS
+// ===============================
+
+/*
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { toCsv, parseCsv } = require('../csv.js');
+
+test('toCsv quotes commas, quotes and new lines', () => {
+    const text = toCsv([
+        ['Name', 'Notes'],
+        ['Rice, 5kg', 'Said "fresh"'],
+        ['Beans', 'Line one\nline two']
+    ]);
+
+    assert.strictEqual(text, 'Name,Notes\r\n"Rice, 5kg","Said ""fresh"""\r\nBeans,"Line one\nline two"');
+});
+
+test('toCsv writes empty cells for null and undefined', () => {
+    assert.strictEqual(toCsv([['a', null, undefined, 0]]), 'a,,,0');
+});
+
+test('toCsv stops text from running as a spreadsheet formula', () => {
+    assert.strictEqual(toCsv([['=HYPERLINK("x")']]), `"'=HYPERLINK(""x"")"`);
+    assert.strictEqual(toCsv([['@SUM(A1)', '+1+1', '-cmd']]), "'@SUM(A1),'+1+1,'-cmd");
+});
+
+test('toCsv leaves plain numbers alone', () => {
+    assert.strictEqual(toCsv([[-5, '-2.50', '+3']]), '-5,-2.50,+3');
+});
+
+test('parseCsv reads quoted values and both kinds of line ending', () => {
+    const rows = parseCsv('Name,Price\r\n"Rice, 5kg",20\n"Said ""fresh""",5');
+
+    assert.deepStrictEqual(rows, [
+        ['Name', 'Price'],
+        ['Rice, 5kg', '20'],
+        ['Said "fresh"', '5']
+    ]);
+});
+
+test('parseCsv keeps new lines inside quotes', () => {
+    assert.deepStrictEqual(parseCsv('a,"one\r\ntwo"\r\n'), [['a', 'one\r\ntwo']]);
+});
+
+test('parseCsv skips the byte-order mark and empty lines', () => {
+    assert.deepStrictEqual(parseCsv('\uFEFFName\r\n\r\n , \r\nRice'), [['Name'], ['Rice']]);
+});
+
+test('parseCsv reads back what toCsv wrote', () => {
+    const rows = [
+        ['Name', 'Qty'],
+        ['Rice, 5kg', '3'],
+        ['He said "hi"', '-1'],
+        ['Two\nlines', '']
+    ];
+
+    assert.deepStrictEqual(parseCsv(toCsv(rows)), rows);
+});
@@ -0,0 +1,66 @@
+// ===============================
+// LOAD STORAGE.JS IN NODE
+// ===============================
+
+/*
+ * storage.js is a plain browser script (everything is a global), so the
+ * tests run it in a sandbox with just enough of a browser around it:
+ * a localStorage, and a window without IndexedDB - storage.js then uses
+ * its localStorage fallback, as it does in old browsers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Saved keys are plain properties, so Object.keys(localStorage) works like in a browser
+class FakeLocalStorage {
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this, key) ? this[key] : null;
+    }
+
+    setItem(key, value) {
+        this[key] = String(value);
+    }
+
+    removeItem(key) {
+        delete this[key];
+    }
+}
+
+/*
+ * loadStorage(saved)
+ * saved: { key: value } already in localStorage before storage.js runs.
+ * Returns { localStorage, run } - run(code) runs code next to storage.js
+ * and returns the result as plain JSON data, so it can be compared with
+ * assert.deepStrictEqual.
+ */
+function loadStorage(saved = {}) {
+
+    const localStorage = new FakeLocalStorage();
+
+    Object.entries(saved).forEach(([key, value]) => {
+        localStorage.setItem(key, JSON.stringify(value));
+    });
+
+    const context = vm.createContext({
+        console: { ...console, info() {}, warn() {} }, // "using localStorage instead" etc.
+        localStorage,
+        window: { addEventListener() {} },
+        alert(message) {
+            throw new Error(`Unexpected alert: ${message}`);
+        }
+    });
+
+    const code = fs.readFileSync(path.join(__dirname, '..', 'storage.js'), 'utf8');
+    vm.runInContext(code, context, { filename: 'storage.js' });
+
+    const run = async code => {
+        const json = await vm.runInContext(`Promise.resolve(${code}).then(value => JSON.stringify(value))`, context);
+        return json === undefined ? undefined : JSON.parse(json);
+    };
+
+    return { localStorage, run };
+}
+
+module.exports = { loadStorage };
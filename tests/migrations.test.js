@@ -0,0 +1,140 @@
+// ===============================
+// DATA MIGRATIONS TESTS
+// ===============================
+
+/*
+ * Old data (schema version 0, before any migration) is saved in
+ * localStorage and upgraded by initializeStorage(), like on a shop's
+ * first start after an update.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadStorage } = require('./load-storage');
+
+// What the app saved before line items, payment fields and ISO dates
+const OLD_DATA = {
+    products: [
+        { id: 'p1', name: 'Coke', quantity: 20, costPrice: 10, sellPrice: 15 },
+        { id: 'p2', name: 'Tea', quantity: 0, costPrice: 3, sellPrice: 5 }
+    ],
+    sales: [
+        {
+            id: 's1', productId: 'p1', productName: 'Coke', quantity: 2,
+            salePrice: 15, costPrice: 10, date: '12/25/2024, 3:30:00 PM'
+        },
+        {
+            id: 's2', productId: 'p1', productName: 'Coke', quantity: 1,
+            salePrice: 15, costPrice: 10, date: '2024-12-20T09:00:00.000Z',
+            paymentType: 'credit', customerName: 'Mrs Ade'
+        },
+        {
+            id: 's3', productId: 'p2', productName: 'Tea', quantity: 4,
+            salePrice: 5, costPrice: 3, date: '2024-12-28T09:00:00.000Z',
+            paymentType: 'credit', customerName: ' mrs  ade ', paidAmount: 5
+        }
+    ],
+    expenses: [],
+    payments: [
+        { id: 'pay1', customerName: 'MRS ADE', amount: 5, date: '2024-12-29T09:00:00.000Z', allocations: [] }
+    ]
+};
+
+async function upgrade(saved) {
+    const storage = loadStorage(saved);
+    await storage.run('initializeStorage()');
+    return storage;
+}
+
+test('the steps are numbered 1, 2, 3... in order', async () => {
+    const { run } = loadStorage();
+
+    const versions = await run('MIGRATIONS.map(step => step.version)');
+
+    assert.deepStrictEqual(versions, versions.map((version, index) => index + 1));
+    assert.strictEqual(await run('SCHEMA_VERSION'), versions.length);
+});
+
+test('old sales get payment fields, an ISO date and line items', async () => {
+    const { run } = await upgrade(OLD_DATA);
+
+    const [cashSale, creditSale, partlyPaid] = await run("getData('sales')");
+
+    assert.strictEqual(cashSale.date, new Date(2024, 11, 25, 15, 30).toISOString());
+    assert.strictEqual(cashSale.paymentType, 'cash');
+    assert.strictEqual(cashSale.total, 30);
+    assert.strictEqual(cashSale.paidAmount, 30);
+    assert.strictEqual(cashSale.remainingBalance, 0);
+    assert.strictEqual(cashSale.status, 'Paid');
+    assert.strictEqual(cashSale.customerName, null);
+    assert.deepStrictEqual(cashSale.items, [
+        { productId: 'p1', productName: 'Coke', quantity: 2, salePrice: 15, costPrice: 10, total: 30 }
+    ]);
+    assert.strictEqual(cashSale.productId, undefined);
+
+    assert.strictEqual(creditSale.status, 'Unpaid');
+    assert.strictEqual(creditSale.remainingBalance, 15);
+
+    assert.strictEqual(partlyPaid.status, 'Partial');
+    assert.strictEqual(partlyPaid.remainingBalance, 15);
+});
+
+test('credit names that differ only in spaces and case become one customer', async () => {
+    const { run } = await upgrade(OLD_DATA);
+
+    const customers = await run("getData('customers')");
+    const [, creditSale, partlyPaid] = await run("getData('sales')");
+    const [payment] = await run("getData('payments')");
+
+    assert.strictEqual(customers.length, 1);
+    assert.strictEqual(customers[0].name, 'Mrs Ade');
+    assert.strictEqual(customers[0].creditLimit, null);
+    assert.strictEqual(creditSale.customerId, customers[0].id);
+    assert.strictEqual(partlyPaid.customerId, customers[0].id);
+    assert.strictEqual(payment.customerId, customers[0].id);
+});
+
+test('every product gets an opening balance and one cost layer for its stock', async () => {
+    const { run } = await upgrade(OLD_DATA);
+
+    const [coke, tea] = await run("getData('products')");
+    const movements = await run("getData('stockMovements')");
+
+    assert.deepStrictEqual(
+        movements.map(m => [m.productId, m.type, m.delta, m.balance, m.reference]),
+        [['p1', 'adjustment', 20, 20, 'Opening balance'], ['p2', 'adjustment', 0, 0, 'Opening balance']]
+    );
+
+    assert.strictEqual(coke.costingMethod, 'fifo');
+    assert.deepStrictEqual(coke.costLayers.map(layer => [layer.quantity, layer.unitCost]), [[20, 10]]);
+    assert.deepStrictEqual(tea.costLayers, []);
+});
+
+test('receipt numbers are given oldest sale first, after any that already have one', async () => {
+    const sales = [...OLD_DATA.sales, { ...OLD_DATA.sales[0], id: 's4', receiptNumber: 7 }];
+
+    const { run } = await upgrade({ ...OLD_DATA, sales });
+
+    const numbers = await run("getData('sales').map(sale => [sale.id, sale.receiptNumber])");
+
+    assert.deepStrictEqual(numbers, [['s1', 9], ['s2', 8], ['s3', 10], ['s4', 7]]);
+});
+
+test('the upgraded data and version are saved, so nothing runs twice', async () => {
+    const first = await upgrade(OLD_DATA);
+
+    assert.strictEqual(first.localStorage.getItem('schemaVersion'), String(await first.run('SCHEMA_VERSION')));
+
+    // Start again on what was saved
+    const saved = {};
+    Object.keys(first.localStorage).forEach(key => {
+        saved[key] = JSON.parse(first.localStorage.getItem(key));
+    });
+
+    const second = await upgrade(saved);
+
+    assert.deepStrictEqual(await second.run("getData('stockMovements')"), await first.run("getData('stockMovements')"));
+    assert.deepStrictEqual(await second.run("getData('customers')"), await first.run("getData('customers')"));
+});
@@ -0,0 +1,100 @@
+// ===============================
+// MULTI-TAB MERGE TESTS (planMerge)
+// ===============================
+
+/*
+ * localStorage fallback: a tab saving a collection another tab has saved
+ * since keeps the other tab's changes, and a record both tabs changed
+ * keeps the other tab's version.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadStorage } = require('./load-storage');
+
+const rent = { id: 'e1', title: 'Rent', amount: 500 };
+const fuel = { id: 'e2', title: 'Fuel', amount: 40 };
+const salt = { id: 'e3', title: 'Salt', amount: 2 };
+
+/*
+ * mergeExpenses(base, stored, ours)
+ * base:   what this tab last read
+ * stored: what is in localStorage now (another tab may have saved)
+ * ours:   what this tab wants to save
+ */
+async function mergeExpenses(base, stored, ours) {
+
+    const { run } = loadStorage({ expenses: stored });
+
+    await run(`localSnapshots.expenses = ${JSON.stringify(JSON.stringify(base))}`);
+
+    const { merged, conflicts } = await run(`planMerge('expenses', ${JSON.stringify(ours)})`);
+    return { merged, conflicts };
+}
+
+test('nothing saved by another tab: our copy is saved as it is', async () => {
+    const ours = [rent, { ...fuel, amount: 45 }];
+
+    const { merged, conflicts } = await mergeExpenses([rent, fuel], [rent, fuel], ours);
+
+    assert.deepStrictEqual(merged, ours);
+    assert.deepStrictEqual(conflicts, []);
+});
+
+test('changes to different records are both kept', async () => {
+    const { merged, conflicts } = await mergeExpenses(
+        [rent, fuel],
+        [rent, fuel, salt],                     // the other tab added Salt
+        [rent, { ...fuel, amount: 45 }]         // we changed Fuel
+    );
+
+    assert.deepStrictEqual(merged, [rent, { ...fuel, amount: 45 }, salt]);
+    assert.deepStrictEqual(conflicts, []);
+});
+
+test('a record both tabs changed keeps the saved version and is reported', async () => {
+    const theirs = { ...rent, amount: 550 };
+
+    const { merged, conflicts } = await mergeExpenses(
+        [rent, fuel],
+        [theirs, fuel],
+        [{ ...rent, amount: 600 }, fuel]
+    );
+
+    assert.deepStrictEqual(merged, [theirs, fuel]);
+    assert.deepStrictEqual(conflicts, [{ key: 'expenses', id: 'e1', record: theirs }]);
+});
+
+test('the same change made in both tabs is not a conflict', async () => {
+    const both = { ...rent, amount: 550 };
+
+    const { merged, conflicts } = await mergeExpenses([rent], [both], [both]);
+
+    assert.deepStrictEqual(merged, [both]);
+    assert.deepStrictEqual(conflicts, []);
+});
+
+test('a delete goes through when the other tab left the record alone', async () => {
+    const { merged, conflicts } = await mergeExpenses([rent, fuel], [rent, fuel, salt], [rent]);
+
+    assert.deepStrictEqual(merged, [rent, salt]);
+    assert.deepStrictEqual(conflicts, []);
+});
+
+test('a record the other tab changed is not deleted', async () => {
+    const theirs = { ...fuel, amount: 45 };
+
+    const { merged, conflicts } = await mergeExpenses([rent, fuel], [rent, theirs], [rent]);
+
+    assert.deepStrictEqual(merged, [rent, theirs]);
+    assert.deepStrictEqual(conflicts, [{ key: 'expenses', id: 'e2', record: theirs }]);
+});
+
+test('a record the other tab deleted is not brought back by our edit', async () => {
+    const { merged, conflicts } = await mergeExpenses([rent, fuel], [rent], [rent, { ...fuel, amount: 45 }]);
+
+    assert.deepStrictEqual(merged, [rent]);
+    assert.deepStrictEqual(conflicts, [{ key: 'expenses', id: 'e2', record: null }]);
+});
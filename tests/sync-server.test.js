@@ -0,0 +1,182 @@
+// ===============================
+// SYNC SERVER TESTS
+// ===============================
+
+/*
+ * applyGroup and mergeCostLayers from server/sync-server.js.
+ * The server keeps its data in memory between tests, so every test uses
+ * its own record ids. Nothing is written to disk (only a POST saves).
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+
+// A file that doesn't exist: the server starts with no records
+process.env.SYNC_DATA_FILE = path.join(os.tmpdir(), `sync-test-${process.pid}-${Date.now()}.json`);
+
+const { applyGroup, mergeCostLayers } = require('../server/sync-server.js');
+
+let changeCounter = 0;
+
+function change(collection, recordId, action, extra = {}) {
+    return { id: `change_${++changeCounter}`, collection, recordId, action, baseRev: 0, date: '2026-01-01T00:00:00.000Z', ...extra };
+}
+
+function createProduct(id, value) {
+    const [record] = applyGroup('tillA', [change('products', id, 'create', { value: { id, ...value } })]);
+    return record;
+}
+
+// ----- applyGroup -----
+
+test('stock sold on two tills at once is taken off twice', () => {
+    const product = createProduct('p1', { name: 'Coke', quantity: 10 });
+
+    applyGroup('tillA', [change('products', 'p1', 'update', {
+        baseRev: product.rev, fields: ['quantity'], value: { id: 'p1', name: 'Coke', quantity: 8 }, deltas: { quantity: -2 }
+    })]);
+
+    const [record] = applyGroup('tillB', [change('products', 'p1', 'update', {
+        baseRev: product.rev, fields: ['quantity'], value: { id: 'p1', name: 'Coke', quantity: 7 }, deltas: { quantity: -3 }
+    })]);
+
+    assert.strictEqual(record.value.quantity, 5);
+    assert.strictEqual(record.rev, 3);
+});
+
+test('edits to different fields of one record both survive', () => {
+    const product = createProduct('p2', { name: 'Tea', sellPrice: 5, quantity: 1 });
+
+    applyGroup('tillA', [change('products', 'p2', 'update', {
+        baseRev: product.rev, fields: ['sellPrice'], value: { id: 'p2', name: 'Tea', sellPrice: 6, quantity: 1 }
+    })]);
+
+    const [record] = applyGroup('tillB', [change('products', 'p2', 'update', {
+        baseRev: product.rev, fields: ['name'], value: { id: 'p2', name: 'Green Tea', sellPrice: 5, quantity: 1 }
+    })]);
+
+    assert.deepStrictEqual(record.value, { id: 'p2', name: 'Green Tea', sellPrice: 6, quantity: 1 });
+});
+
+test('a credit payment on another till is added to, not replaced', () => {
+    const [sale] = applyGroup('tillA', [change('sales', 's1', 'create', {
+        value: { id: 's1', total: 100, paidAmount: 0, remainingBalance: 100, status: 'Unpaid' }
+    })]);
+
+    const pay = (clientId, amount) => applyGroup(clientId, [change('sales', 's1', 'update', {
+        baseRev: sale.rev,
+        fields: ['paidAmount', 'remainingBalance', 'status'],
+        value: { id: 's1', total: 100, paidAmount: amount, remainingBalance: 100 - amount, status: 'Partial' },
+        deltas: { paidAmount: amount, remainingBalance: -amount }
+    })])[0];
+
+    pay('tillA', 30);
+    const record = pay('tillB', 70);
+
+    assert.strictEqual(record.value.paidAmount, 100);
+    assert.strictEqual(record.value.remainingBalance, 0);
+    assert.strictEqual(record.value.status, 'Paid');
+});
+
+test('a refused delete keeps the rest of its group out too', () => {
+    const product = createProduct('p3', { name: 'Soap', quantity: 4 });
+    const [sale] = applyGroup('tillA', [change('sales', 's2', 'create', { value: { id: 's2', total: 10 } })]);
+
+    // Another till changes the sale after tillA last saw it
+    applyGroup('tillB', [change('sales', 's2', 'update', { baseRev: sale.rev, fields: ['total'], value: { id: 's2', total: 12 } })]);
+
+    // tillA deletes the sale and puts its stock back, as one action
+    const [saleAfter, productAfter] = applyGroup('tillA', [
+        change('sales', 's2', 'delete', { baseRev: sale.rev }),
+        change('products', 'p3', 'update', {
+            baseRev: product.rev, fields: ['quantity'], value: { id: 'p3', name: 'Soap', quantity: 6 }, deltas: { quantity: 2 }
+        })
+    ]);
+
+    assert.strictEqual(saleAfter.deleted, false);
+    assert.strictEqual(saleAfter.value.total, 12);
+    assert.strictEqual(productAfter.value.quantity, 4);
+});
+
+test('a group sent twice (the first answer got lost) is applied once', () => {
+    const product = createProduct('p4', { name: 'Rice', quantity: 10 });
+
+    const group = [change('products', 'p4', 'update', {
+        baseRev: product.rev, fields: ['quantity'], value: { id: 'p4', name: 'Rice', quantity: 9 }, deltas: { quantity: -1 }
+    })];
+
+    applyGroup('tillA', group);
+    const [record] = applyGroup('tillA', group);
+
+    assert.strictEqual(record.value.quantity, 9);
+    assert.strictEqual(record.rev, 2);
+});
+
+test('a change that fails leaves nothing of its group behind', () => {
+    const product = createProduct('p5', { name: 'Salt', quantity: 2, costLayers: 'not a list' });
+
+    assert.throws(() => applyGroup('tillA', [
+        change('sales', 's3', 'create', { value: { id: 's3', total: 1 } }),
+        change('products', 'p5', 'update', {
+            baseRev: product.rev,
+            fields: ['quantity', 'costLayers'],
+            value: { id: 'p5', name: 'Salt', quantity: 3, costLayers: [] },
+            deltas: { quantity: 1 },
+            layersBefore: [],
+            addedStock: { unitCost: 1 }
+        })
+    ]));
+
+    // Had the sale gone in, this create would get the server's copy back
+    const [sale] = applyGroup('tillB', [change('sales', 's3', 'create', { value: { id: 's3', total: 2 } })]);
+
+    assert.strictEqual(sale.value.total, 2);
+    assert.strictEqual(sale.rev, 1);
+});
+
+// ----- mergeCostLayers -----
+
+function merge(costingMethod, layers, delta, addedStock) {
+    const value = { costingMethod, quantity: 0, costPrice: 0 };
+    mergeCostLayers(value, { value: { costLayers: layers } }, { deltas: { quantity: delta }, addedStock, date: 'today' });
+    return value;
+}
+
+test('stock taken off comes from the oldest layers first', () => {
+    const value = merge('fifo', [{ quantity: 5, unitCost: 10 }, { quantity: 10, unitCost: 12 }], -7);
+
+    assert.deepStrictEqual(value.costLayers, [{ quantity: 8, unitCost: 12 }]);
+    assert.strictEqual(value.costPrice, 12);
+});
+
+test('the server layers are not changed in place', () => {
+    const layers = [{ quantity: 5, unitCost: 10 }];
+
+    merge('fifo', layers, -2);
+
+    assert.deepStrictEqual(layers, [{ quantity: 5, unitCost: 10 }]);
+});
+
+test('a restock becomes a new layer at the back, or at the front when asked', () => {
+    const layers = [{ quantity: 5, unitCost: 10 }];
+
+    const back = merge('fifo', layers, 3, { unitCost: 11 });
+    const front = merge('fifo', layers, 3, { unitCost: 11, atFront: true });
+
+    assert.deepStrictEqual(back.costLayers, [
+        { quantity: 5, unitCost: 10 },
+        { quantity: 3, unitCost: 11, date: 'today', reference: 'Synced' }
+    ]);
+    assert.deepStrictEqual(front.costLayers[0], { quantity: 3, unitCost: 11, date: 'today', reference: 'Synced' });
+    assert.strictEqual(front.costPrice, 11);
+});
+
+test('average costing blends a restock into the one layer', () => {
+    const value = merge('average', [{ quantity: 10, unitCost: 10 }], 10, { unitCost: 13 });
+
+    assert.deepStrictEqual(value.costLayers, [{ quantity: 20, unitCost: 11.5 }]);
+    assert.strictEqual(value.costPrice, 11.5);
+});